@@ -3,6 +3,9 @@ import IMAGES from "./longfiles.js";
 class ImageReader {
     static imgOffsetAmount = 200;
 
+    // palette indices are stored in one byte, and 0 and 1 are control codes
+    static maxColors = 254;
+
     // =========================
     // ENCODE
     // =========================
@@ -11,6 +14,8 @@ class ImageReader {
         const bitmap = reader.bitmap.map(row => row.slice());
         const palette = reader.palette.map(c => c.replace("#", ""));
 
+        if (palette.length > ImageReader.maxColors) throw new OSError(`Images can have at most ${ImageReader.maxColors} colors`);
+
         // convert hex colors → palette indices
         for (let y = 0; y < bitmap.length; y++) {
             const row = bitmap[y];
@@ -39,7 +44,8 @@ class ImageReader {
             for (let x = 0; x < row.length; x++) {
                 if (x === 0) {
                     out.push(row[x]);
-                } else if (row[x] === row[x - 1]) {
+                } else if (row[x] === row[x - 1] && run < 255) {
+                    // run lengths are stored in one byte, longer runs start over with the same color
                     run++;
                 } else {
                     if (run > 1) {
@@ -131,6 +137,79 @@ class ImageReader {
         return pako.inflate(bytes);
     }
 
+    /**
+     * Reads an img or bmap file
+     * @param {OSFile} file 
+     * @returns {string[][]} rows of "#rrggbb" colors
+     */
+    static readBitmap(file) {
+        const fileData = file.read();
+
+        if (file.type === "img") return ImageReader.decodeImage(fileData);
+
+        if (file.type === "bmap") {
+            const width = parseInt(fileData[1]);
+            const height = parseInt(fileData[2]);
+            const data = fileData.slice(3).map(x => x.split(" ").map(x => "#" + x));
+
+            if (data.length !== height) throw new OSError(`Invalid bmap file: height does not match data length`);
+            if (data[0].length !== width) throw new OSError(`Invalid bmap file: width does not match data width`);
+            if (data.some(row => row.length !== width)) throw new OSError(`Invalid bmap file: width does not match data width`);
+
+            return data;
+        }
+
+        throw new OSError(`Unsupported file type: "${file.type}".`);
+    }
+
+    /**
+     * Makes an img from RGBA pixels, like a canvas' ImageData. Alpha is ignored and colors lose precision
+     * until they fit in an img palette
+     * @param {{width: number, height: number, data: Uint8ClampedArray}} image 
+     * @returns {ImageReader}
+     */
+    static fromPixels(image) {
+        for (let bits = 8; bits > 0; bits--) {
+            const mask = (0xff << (8 - bits)) & 0xff;
+            const colors = new Set();
+            const bitmap = [];
+
+            for (let y = 0; y < image.height && colors.size <= ImageReader.maxColors; y++) {
+                const row = [];
+
+                for (let x = 0; x < image.width; x++) {
+                    const i = (y * image.width + x) * 4;
+                    const hex = (((image.data[i] & mask) << 16) | ((image.data[i + 1] & mask) << 8) | (image.data[i + 2] & mask)).toString(16).padStart(6, "0");
+
+                    colors.add(hex);
+                    row.push(hex);
+                }
+
+                bitmap.push(row);
+            }
+
+            if (colors.size <= ImageReader.maxColors) return new ImageReader("img", bitmap);
+        }
+    }
+
+    /**
+     * 
+     * @param {string[][]} bitmap rows of "#rrggbb" colors
+     * @returns {{width: number, height: number, data: Uint8ClampedArray}} RGBA pixels
+     */
+    static toPixels(bitmap) {
+        const height = bitmap.length;
+        const width = bitmap[0]?.length ?? 0;
+        const data = new Uint8ClampedArray(width * height * 4);
+
+        bitmap.forEach((row, y) => row.forEach((color, x) => {
+            const { r, g, b } = ColorService.hexToRgb(color);
+            data.set([r, g, b, 255], (y * width + x) * 4);
+        }));
+
+        return { width, height, data };
+    }
+
     // =========================
     constructor(type, array2D) {
         if (!Array.isArray(array2D) || array2D.some(r => !Array.isArray(r))) {
@@ -200,6 +279,52 @@ class ImageReader {
     }
 }
 
+class ArchiveReader {
+    static header = "swa";
+    static version = 1;
+
+    /**
+     * Archives are three lines: the header, the format version and the deflated JSON of the subtree,
+     * stored as text by offsetting every byte like img files do
+     * @param {OSDirectory} dir 
+     * @returns {string[]} content for a .swa file
+     */
+    static encode(dir) {
+        const json = JSON.stringify(PersistenceService.serializeNode(dir));
+        const compressed = ImageReader.deflate(new TextEncoder().encode(json));
+
+        return [
+            this.header,
+            String(this.version),
+            Array.from(compressed).map(x => String.fromCharCode(x + ImageReader.imgOffsetAmount)).join(""),
+        ];
+    }
+
+    /**
+     * 
+     * @param {string[]} content of a .swa file
+     * @returns {OSDirectory} the archived directory, not attached to the filesystem
+     */
+    static decode(content) {
+        if (content[0] !== this.header) throw new OSError("Not an archive");
+        if (Number(content[1]) !== this.version) throw new OSError(`Unsupported archive version "${content[1]}"`);
+        if (typeof content[2] !== "string") throw new OSError("Archive has no data");
+
+        let data;
+
+        try {
+            const bytes = ImageReader.inflate(new Uint8Array(Array.from(content[2], c => c.charCodeAt(0) - ImageReader.imgOffsetAmount)));
+            data = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (e) {
+            throw new OSError("Archive is corrupted");
+        }
+
+        if (data?.kind !== "directory") throw new OSError("Archive does not contain a directory");
+
+        return PersistenceService.deserializeNode(data, null);
+    }
+}
+
 class ColorService {
     static enabled = false;
     static os = null;
@@ -227,7 +352,7 @@ class ColorService {
         const palette = ConfigService.get("color_palette", false);
 
         if(palette === undefined || palette === null || palette === ""){
-            throw new OSError("Color palette is not defined in /config/user.conf");
+            throw new OSError(`Color palette is not defined in ${ConfigService.getPath()}`);
         }
 
         const paletteFile = FilesystemService.resolvePath(`/data/palettes/${palette}.conf`, "file");
@@ -318,7 +443,16 @@ class ConfigService {
         this.enabled = true;
         this.os = os;
         DiagnosticService.record("ConfigService_init");
-        this.#config = new SwagObjectParser(FilesystemService.resolvePath("/config/user.conf").read()).parse();
+        this.#config = new SwagObjectParser(FilesystemService.resolvePath(this.getPath()).read()).parse();
+    }
+
+    /**
+     * The current user's own user.conf in their home directory, or the system one if they do not have one
+     * @returns {string}
+     */
+    static getPath(){
+        const personal = FilesystemService.resolvePath("~/user.conf", "none", false);
+        return personal instanceof OSFile ? personal.fullPath() : "/config/user.conf";
     }
 
     static enable(){
@@ -340,7 +474,7 @@ class ConfigService {
         if(!this.enabled) throw new OSError("ConfigService is not enabled", 1);
         if(log) DiagnosticService.record(`ConfigService_get ${key}`);
 
-        if(this.#config[key] == undefined) throw new OSError(`Config key "${key}" is not defined in /config/user.conf`);
+        if(this.#config[key] == undefined) throw new OSError(`Config key "${key}" is not defined in ${this.getPath()}`);
 
         return this.#config[key]
     }
@@ -357,7 +491,7 @@ class ConfigService {
         if(!this.enabled) throw new OSError("ConfigService is not enabled", 1);
         DiagnosticService.record("ConfigService_reload");
         try {
-            this.#config = new SwagObjectParser(FilesystemService.resolvePath("/config/user.conf").read()).parse();
+            this.#config = new SwagObjectParser(FilesystemService.resolvePath(this.getPath()).read()).parse();
             ColorService.update();
         } catch (e) {
             if(e instanceof OSError) throw e;
@@ -375,6 +509,9 @@ class CommandService {
     static enabled = false;
     static commands = new Map();
     static registeredCommands = new Set();
+    // command name -> path of the module it was loaded from
+    static plugins = new Map();
+    static binPath = "/bin";
 
     static init(os) {
         if(this.os) return;
@@ -397,7 +534,8 @@ class CommandService {
      * 
      * @param {string}
      * @param {*} body 
-     * @param {*} fn 
+     * @param {*} fn called with ({args, nodes, flags, pipe, output, interactive}, os, signal). nodes holds the resolved file or directory for every file, directory and path positional, null for the rest.
+     * output is where the result goes: "terminal", "pipe" into the next command or "file" for a redirection. interactive is false for commands a script runs
      * @returns 
      */
     static defineCommand(name, body, fn){
@@ -414,11 +552,160 @@ class CommandService {
         }
     }
 
+    /**
+     * Redefines the built-in commands and loads the modules in /bin again
+     * @returns {string[]} errors from modules that could not be loaded
+     */
     static reloadCommands(){
         this.registeredCommands = new Set();
         this.commands = new Map();
+        this.plugins = new Map();
         defineCommands();
-        this.os.validateAllCommands();
+        this.os.validateCommands();
+        return this.loadPlugins();
+    }
+
+    /**
+     * Loads every .js module in /bin that root owns. A module that fails doesn't stop the others
+     * @returns {string[]} errors from modules that could not be loaded
+     */
+    static loadPlugins(){
+        if(!this.enabled) return [];
+
+        const bin = FilesystemService.resolvePath(this.binPath, "none", false);
+        if(!(bin instanceof OSDirectory)) return [];
+
+        const errors = [];
+
+        for(const node of bin.list()){
+            if(!(node instanceof OSFile) || node.type !== "js") continue;
+
+            // boot runs modules with the whole OS in reach, so only ones root put there
+            if(node.owner !== "root"){
+                errors.push(`Skipped "${node.fullPath()}": command modules in ${this.binPath} must be owned by root`);
+                continue;
+            }
+
+            // this runs on boot, so no module may throw past here and keep the OS from starting
+            try {
+                this.loadPlugin(node);
+            } catch (e) {
+                errors.push(e instanceof OSError ? e.message : `Could not load "${node.fullPath()}": ${e.message}`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Loads a command module. The module is run as a function with module, exports, os, services and OSError in scope,
+     * and sets module.exports to the same {options, schema} body and handler defineCommand takes:
+     * 
+     *     module.exports = { name: "greet", options: { description: "..." }, schema: [], fn: ({args}, os, signal) => ({ type: "line", content: "hi", loc: "" }) };
+     * 
+     * The module needs the read and execute permissions. Loading a module again replaces the command it defined
+     * @param {string|OSFile} path the module, or its path
+     * @returns {string} the name of the command
+     */
+    static loadPlugin(path){
+        if(!this.enabled) throw new OSError("CommandService is disabled");
+
+        const file = path instanceof OSFile ? path : FilesystemService.resolvePath(path, "full");
+        if(!(file instanceof OSFile)) throw new OSError(`File not found: "${path}"`);
+        if(file.type !== "js") throw new OSError(`"${file.fullPath()}" is not a command module, expected a .js file`);
+
+        FilesystemService.checkPermission(file, "r", "load");
+        FilesystemService.checkPermission(file, "x", "run");
+
+        const fail = (reason) => new OSError(`Could not load "${file.fullPath()}": ${reason}`);
+
+        const module = { exports: {} };
+        const services = Object.fromEntries(ServiceManager.services.map(service => [service.name, service]));
+
+        try {
+            new Function("module", "exports", "os", "services", "OSError", file.read().join("\n"))(module, module.exports, this.os, services, OSError);
+        } catch (e) {
+            throw fail(e.message);
+        }
+
+        const { name, options, schema = [], fn } = module.exports ?? {};
+
+        if(typeof name !== "string" || !FilesystemService.validationRegex.test(name)) throw fail("module.exports.name must be a valid command name");
+        if(typeof options !== "object" || options === null) throw fail("module.exports.options must be an object");
+        if(!Array.isArray(schema)) throw fail("module.exports.schema must be an array");
+        if(typeof fn !== "function") throw fail("module.exports.fn must be a function");
+        if(options.alias !== undefined && (typeof options.alias !== "string" || !FilesystemService.validationRegex.test(options.alias))) throw fail("module.exports.options.alias must be a valid command name");
+
+        for(const commandName of [name, options.alias].filter(Boolean)){
+            const owner = this.commands.get(commandName)?.body.aliasOf ?? commandName;
+            if(this.commands.has(commandName) && this.plugins.get(owner) !== file.fullPath()){
+                throw fail(`"${commandName}" is already a command`);
+            }
+        }
+
+        // whatever this module defined before goes, even if it was under another name
+        for(const [loaded, loadedPath] of this.plugins){
+            if(loadedPath === file.fullPath()) this.unloadPlugin(loaded);
+        }
+
+        try {
+            this.defineCommand(name, { options, schema }, fn);
+            this.registerCommand(name);
+            this.validateCommand(name);
+        } catch (e) {
+            // e.g. options that can't be cloned, or a schema entry that isn't an object
+            this.forgetCommand(name);
+            throw fail(e.message);
+        }
+
+        // validateCommand unregisters commands with an invalid schema and reports why
+        if(!this.getCommand(name)){
+            this.forgetCommand(name);
+            throw fail("invalid schema");
+        }
+
+        this.plugins.set(name, file.fullPath());
+        DiagnosticService.record(`CommandService_loadPlugin ${name} <- ${file.fullPath()}`);
+
+        return name;
+    }
+
+    /**
+     * Removes a command that was loaded from a module
+     * @param {string} name the command or its alias
+     * @returns {string} the name of the command
+     */
+    static unloadPlugin(name){
+        if(!this.enabled) throw new OSError("CommandService is disabled");
+
+        const entry = this.commands.get(name);
+        const commandName = entry?.body.aliasOf ?? name;
+
+        if(!this.plugins.has(commandName)){
+            throw new OSError(entry ? `"${name}" is a built-in command and cannot be unloaded` : `Unknown command: "${name}"`);
+        }
+
+        this.forgetCommand(commandName);
+        this.plugins.delete(commandName);
+
+        DiagnosticService.record(`CommandService_unloadPlugin ${commandName}`);
+
+        return commandName;
+    }
+
+    /**
+     * Removes a command and its alias entirely, unlike unregisterCommand which keeps the definition around
+     * @param {string} name 
+     */
+    static forgetCommand(name){
+        const alias = this.commands.get(name)?.body.options.alias;
+
+        this.registeredCommands.forEach(set => {
+            if(set.has(name) || set.size === 0) this.registeredCommands.delete(set);
+        });
+
+        this.commands.delete(name);
+        if(alias) this.commands.delete(alias);
     }
 
     static getCommand(name){
@@ -471,7 +758,33 @@ class CommandService {
 
         DiagnosticService.record(`CommandService_validate ${name}`);
 
+        const variadics = entry.body.schema.filter(param => param.type === "positional" && param.variadic);
+        if(variadics.length > 1){
+            CommandService.unregisterCommand(name);
+            this.os.error(`Invalid schema for command "${name}": Only one positional can be variadic, got "${variadics.map(p => p.name).join("\", \"")}"`);
+        }
+
         entry.body.schema.forEach(param => {
+            if(param.type === "positional" && (param.min !== undefined || param.max !== undefined)){
+                const { min, max } = this.variadicBounds(param);
+                const isCount = (n) => Number.isInteger(n) && n >= 0 || n === Infinity;
+
+                if(!param.variadic || !isCount(min) || !isCount(max) || min > max || max === 0){
+                    CommandService.unregisterCommand(name);
+                    this.os.error(`Invalid schema for command "${name}": Positional "${param.name}" has invalid min or max (only variadic positionals take them, and 0 <= min <= max, max > 0)`);
+                }
+            }
+
+            if(param.type === "positional" && param.datatype !== undefined && !this.positionalDatatypes.includes(param.datatype)){
+                CommandService.unregisterCommand(name);
+                this.os.error(`Invalid schema for command "${name}": Positional "${param.name}" has invalid datatype (must be one of "${this.positionalDatatypes.join("\", \"")}")`);
+            }
+
+            if(param.assumption !== undefined && !["file", "directory", "full", "none"].includes(param.assumption)){
+                CommandService.unregisterCommand(name);
+                this.os.error(`Invalid schema for command "${name}": "${param.name}" has invalid assumption (must be "file", "directory", "full" or "none")`);
+            }
+
             if(param.type === "flag"){
                 if(param.datatype === undefined || !["boolean", "string", "number"].includes(param.datatype)){
                     CommandService.unregisterCommand(name);
@@ -495,7 +808,7 @@ class CommandService {
         }
     }
 
-    static verify(name, args, flags){
+    static verify(name, args, flags, rawFlags = {}){
         if(!this.enabled) return;
         const entry = this.commands.get(name);
 
@@ -520,16 +833,40 @@ class CommandService {
         }
 
         let positionalIndex = 0;
-
-        for(const param of positionalSchema){
-            const required = param.required || false;
-            if(required && positionalIndex >= args.length){
+        // the schema entry each argument belongs to
+        const argumentSchema = [];
+
+        for(const [index, param] of positionalSchema.entries()){
+            const remaining = args.length - positionalIndex;
+            let count = Math.min(remaining, 1);
+
+            if(param.variadic){
+                // a variadic positional takes whatever the positionals after it leave over
+                const reserved = positionalSchema.slice(index + 1).filter(p => !p.variadic).length;
+                const { min, max } = this.variadicBounds(param);
+                count = Math.max(0, Math.min(max, remaining - reserved));
+
+                if(count < min){
+                    if(count === 0) return { valid: false, error: `Missing required argument: "${param.name}"` };
+                    return { valid: false, error: `Argument "${param.name}" needs at least ${min} values, got ${count}` };
+                }
+            } else if(param.required && count === 0){
                 return { valid: false, error: `Missing required argument: "${param.name}"` };
             }
-            if(param.options && !param.options.includes(args[positionalIndex])){
-                return { valid: false, error: `Invalid value for argument "${param.name}": expected one of "${param.options.join("\", \"")}", got "${args[positionalIndex]}"` };
+
+            for(const value of args.slice(positionalIndex, positionalIndex + count)){
+                if(param.options && !param.options.includes(value)){
+                    return { valid: false, error: `Invalid value for argument "${param.name}": expected one of "${param.options.join("\", \"")}", got "${value}"` };
+                }
+                argumentSchema.push(param);
             }
-            positionalIndex++;
+
+            positionalIndex += count;
+        }
+
+        const variadic = positionalSchema.find(p => p.variadic);
+        if(variadic && positionalIndex < args.length){
+            return { valid: false, error: `Too many values for argument "${variadic.name}": expected at most ${this.variadicBounds(variadic).max}` };
         }
 
         for(const param of flagSchema){
@@ -569,6 +906,16 @@ class CommandService {
                 actualType = typeof flagValue;
             }
 
+            // numbers and booleans are valid text too, as typed: --name=007 stays "007"
+            const raw = rawFlags[flagDef.name] ?? rawFlags[flagDef.short];
+            if(expectedType === "string" && typeof raw === "string" && (actualType === "number" || actualType === "boolean")){
+                flagValue = raw;
+                actualType = "string";
+            } else if(actualType === "number" && expectedType === "string"){
+                flagValue = String(flagValue);
+                actualType = "string";
+            }
+
             if(actualType !== expectedType){
                 return { valid: false, error: `Invalid value type for flag "--${flagName}": expected ${expectedType}, got ${actualType}` };
             }
@@ -579,8 +926,79 @@ class CommandService {
             }
         }
 
+        verificationReturn.args = args.slice();
+        verificationReturn.nodes = args.map(() => null);
+
+        for(let i = 0; i < args.length; i++){
+            const param = argumentSchema[i];
+            if(!param?.datatype) continue;
+
+            const { value, node, error } = this.coerceArgument(param, args[i]);
+            if(error) return { valid: false, error };
+
+            verificationReturn.args[i] = value;
+            verificationReturn.nodes[i] = node;
+        }
+
         return verificationReturn;
     }
+
+    /**
+     * @param {object} param a variadic positional's schema entry
+     * @returns {{min: number, max: number}} how many values it takes. Required positionals take at least one by default
+     */
+    static variadicBounds(param){
+        return { min: param.min ?? (param.required ? 1 : 0), max: param.max ?? Infinity };
+    }
+
+    static positionalDatatypes = ["number", "boolean", "string", "file", "directory", "path"];
+
+    /**
+     * Checks a positional argument against its datatype. file, directory and path arguments are resolved
+     * with the assumption the schema declares, "directory" for directories and "full" for the others if it declares none
+     * @param {object} param the positional's schema entry
+     * @param {string} value 
+     * @returns {{value: any, node: OSFile|OSDirectory|null, error: string|null}} the converted value and, for paths, the resolved node
+     */
+    static coerceArgument(param, value){
+        const fail = (error) => ({ value, node: null, error });
+
+        switch(param.datatype){
+            case "number": {
+                if(!/^-?\d+(\.\d+)?$/.test(value)) return fail(`Invalid value for argument "${param.name}": expected a number, got "${value}"`);
+                return { value: Number(value), node: null, error: null };
+            }
+
+            case "boolean": {
+                if(value !== "true" && value !== "false") return fail(`Invalid value for argument "${param.name}": expected true or false, got "${value}"`);
+                return { value: value === "true", node: null, error: null };
+            }
+
+            case "file":
+            case "directory":
+            case "path": {
+                const assumption = param.assumption ?? (param.datatype === "directory" ? "directory" : "full");
+
+                let node;
+
+                try {
+                    node = FilesystemService.resolvePath(value, assumption);
+                } catch (e) {
+                    if(!(e instanceof OSError)) throw e;
+                    return fail(e.message);
+                }
+
+                if(param.datatype === "file" && !(node instanceof OSFile)) return fail(node ? `"${value}" is not a file` : `File not found: "${value}"`);
+                if(param.datatype === "directory" && !(node instanceof OSDirectory)) return fail(node ? `"${value}" is not a directory` : `Directory not found: "${value}"`);
+                if(!node) return fail(`Path not found: "${value}"`);
+
+                return { value, node, error: null };
+            }
+
+            default:
+                return { value, node: null, error: null };
+        }
+    }
 }
 
 class FilesystemService {
@@ -609,1925 +1027,6181 @@ class FilesystemService {
         DiagnosticService.record("FilesystemService_disable");
     }
 
-    static remove(path){
-        if (!this.enabled) throw new OSError("FilesystemService is disabled");
+    /**
+     * Owner of everything created in this session. Boot runs as root until someone logs in,
+     * after that nobody, null, is left once the last session ends
+     * @returns {string|null}
+     */
+    static get currentUser(){
+        return UserService.current ?? (UserService.hasLoggedIn ? null : "root");
+    }
 
-        const node = this.resolvePath(path, "full");
+    /**
+     * Expands a leading "~" to the current user's home directory, or "~name" to that user's
+     * @param {string} path 
+     * @returns {string} the path unchanged if it does not start with a known home
+     */
+    static expandHome(path){
+        const match = path.match(/^~([^/]*)(?=\/|$)/);
+        if (!match) return path;
 
-        if (!node) throw new OSError(`Path not found: "${path}"`);
+        const home = UserService.getHome(match[1] || this.currentUser);
+        if (!home) return path;
 
-        if (node.parent) {
-            const fullPath = structuredClone(node.fullPath());
-            DiagnosticService.record(`FilesystemService_remove ${path}`);
-            node.parent.children.delete(
-                node instanceof OSFile ? `${node.name}.${node.type}` : node.name
-            );
-            return fullPath;
-        } else {
-            throw new OSError(`Cannot remove root directory`);
-        }
+        return home + path.slice(match[0].length);
     }
 
+    /**
+     * Permission modes are two octal digits: the owner's rwx bits followed by everyone else's, e.g. 0o64 is rw-r--
+     */
+    static defaultFileMode = 0o64;
+    static defaultDirectoryMode = 0o75;
+
+    static permissionBits = { r: 4, w: 2, x: 1 };
+
     /**
      * 
-     * @param {string} path 
-     * @param {"file"|"directory"|"full"|"none"} assumption
-     * @returns 
+     * @param {OSFile|OSDirectory} node 
+     * @param {"r"|"w"|"x"} permission 
+     * @returns {boolean} whether the current user has the permission on node
      */
-    static resolvePath(path, assumption = "none", log = true) {
-    if (!this.enabled) throw new OSError("FilesystemService is disabled");
+    static hasPermission(node, permission){
+        // whatever runs after the last logout, e.g. "logout; chmod 77 /etc/passwd.txt", can't touch anything
+        if(this.currentUser === null) return false;
+        // root gets past every check, except running files nobody may run
+        if(this.currentUser === "root") return permission !== "x" || node instanceof OSDirectory || (node.mode & 0o11) !== 0;
+
+        const bits = node.owner === this.currentUser ? node.mode >> 3 : node.mode;
+        return (bits & this.permissionBits[permission]) !== 0;
+    }
 
-    const parts = path.split("/").filter(p => p.length > 0);
-    let node = path.startsWith("/") ? this.root : this.currentDirectory;
+    /**
+     * 
+     * @param {OSFile|OSDirectory} node 
+     * @param {"r"|"w"|"x"} permission 
+     * @param {string} action what is being attempted, for the error message
+     */
+    static checkPermission(node, permission, action){
+        if(this.hasPermission(node, permission)) return;
+        DiagnosticService.record(`FilesystemService_permissionDenied ${permission} ${node.fullPath()}`);
+        throw new OSError(`Permission denied: cannot ${action} "${node.fullPath()}"`);
+    }
 
-    for (const rawPart of parts) {
-        if (rawPart === ".") continue;
-        if (rawPart === "..") {
-            node = node.parent ?? node;
-            continue;
+    /**
+     * 
+     * @param {OSFile|OSDirectory} node 
+     * @returns {string} the mode in ls style, e.g. "drwxr-x"
+     */
+    static formatMode(node){
+        let out = node instanceof OSDirectory ? "d" : "-";
+
+        for (let shift = 5; shift >= 0; shift--) {
+            out += (node.mode >> shift) & 1 ? "rwx"[(5 - shift) % 3] : "-";
         }
 
-        if (!(node instanceof OSDirectory)) return null;
+        return out;
+    }
 
-        // Extract name and type from the path segment (e.g. foo.txt → ["foo", "txt"])
+    /**
+     * 
+     * @param {string} spec two octal digits ("64") or comma separated symbolic changes ("u+w", "o-rx", "a=r")
+     * @param {number} mode the current mode, which symbolic changes apply to
+     * @returns {number}
+     */
+    static parseMode(spec, mode){
+        if (/^[0-7]{2}$/.test(spec)) return parseInt(spec, 8);
 
-        const [givenName, givenType] = rawPart.split(".");
+        for (const part of spec.split(",")) {
+            const match = part.match(/^([uoa]*)([+\-=])([rwx]*)$/);
+            if (!match) throw new OSError(`Invalid mode: "${spec}". Use two octal digits like "64" or symbolic changes like "u+w,o-r"`);
 
-        const children = node.children;
+            const [, who, operator, permissions] = match;
 
-        //
-        // === ASSUMPTION MODE: "none" ===
-        //
-        if (assumption === "none") {
-            const fullName = givenType ? `${givenName}.${givenType}` : givenName;
+            const bits = [...permissions].reduce((total, p) => total | this.permissionBits[p], 0);
+            const targets = who === "" || who.includes("a") ? ["u", "o"] : [...new Set(who)];
 
-            if (!children.has(fullName)) return null;
+            for (const target of targets) {
+                const shift = target === "u" ? 3 : 0;
 
-            node = children.get(fullName);
-            continue;
+                if (operator === "+") mode |= bits << shift;
+                if (operator === "-") mode &= ~(bits << shift);
+                if (operator === "=") mode = (mode & ~(7 << shift)) | (bits << shift);
+            }
         }
 
-        //
-        // === ASSUMPTION MODES WITH PARTIAL MATCHING ===
-        //
-        const matches = [];
+        return mode;
+    }
 
-        for (const [childName, child] of children) {
-            const fileName = childName.split(".")[0]; // real name
-            const fileType = child instanceof OSFile ? child.type : null;
+    /**
+     * Changes the mode and/or owner of a node. Only its owner and root can do this
+     * @param {string} path 
+     * @param {{mode?: string, owner?: string}} changes 
+     * @param {boolean} recursive apply to everything inside a directory as well
+     * @returns {number} how many nodes were changed
+     */
+    static changePermissions(path, changes, recursive = false){
+        if (!this.enabled) throw new OSError("FilesystemService is disabled");
 
-            const starts = fileName.startsWith(givenName);
+        const node = this.resolvePath(path, "full");
+        if (!node) throw new OSError(`Path not found: "${path}"`);
 
-            //
-            // ---- DIRECTORY handling ----
-            //
-            if (child instanceof OSDirectory) {
-                if (assumption === "file") {
-                    // directories require exact match only
-                    if (childName === givenName) matches.push(child);
-                } else {
-                    // "directory" or "full": allow partial match
-                    if (starts) matches.push(child);
-                }
-                continue;
-            }
+        const nodes = [];
 
-            //
-            // ---- FILE handling ----
-            //
-            if (child instanceof OSFile) {
-                if (assumption === "directory") {
-                    // files require exact name+type under directory assumption
-                    if (fileName === givenName && fileType === givenType) {
-                        matches.push(child);
-                    }
-                    continue;
-                }
-
-                if (assumption === "file" || assumption === "full") {
-                    // match start of filename
-                    if (!starts) continue;
+        const collect = (n) => {
+            nodes.push(n);
+            if (recursive && n instanceof OSDirectory) n.list().forEach(collect);
+        };
 
-                    // if path includes type, enforce match
-                    if (givenType && fileType !== givenType) continue;
+        collect(node);
 
-                    matches.push(child);
-                }
+        // check everything first so a recursive change is all or nothing
+        for (const n of nodes) {
+            if (n.owner !== this.currentUser && this.currentUser !== "root") {
+                throw new OSError(`Permission denied: "${n.fullPath()}" is owned by ${n.owner}`);
             }
         }
 
-        // resolve matches
-        if (matches.length === 0) return null;
-        if (matches.length > 1) {
-            throw new OSError(`Ambiguous path segment '${rawPart}' (${matches.map(x => x.fullName()).join(", ")})`);
+        for (const n of nodes) {
+            if (changes.mode !== undefined) n.mode = this.parseMode(changes.mode, n.mode);
+            if (changes.owner !== undefined) n.owner = changes.owner;
         }
 
-        node = matches[0];
+        DiagnosticService.record(`FilesystemService_changePermissions ${node.fullPath()} ${JSON.stringify(changes)}`);
+        PersistenceService.markDirty();
+        return nodes.length;
     }
 
-    if(log == true) DiagnosticService.record(
-        `FilesystemService_resolvePath ${path} -> ${node instanceof OSDirectory ? "directory" : "file"
-        }: ${node.name}${node instanceof OSFile ? `.${node.type}` : ""}`
-    );
+    /**
+     * Paths that cannot be removed, or have anything inside them removed, without force
+     */
+    static protectedPaths = ["/config", "/data/palettes", "/trash", "/etc"];
 
-    return node;
-}
+    static trashPath = "/trash";
+    static trashIndex = "index.log";
+    static trashSeparator = "\x1F";
 
-    static validationRegex = /^[a-zA-Z0-9_\-\.]+$/;
+    static isProtected(node){
+        const fullPath = node.fullPath();
+
+        return this.protectedPaths.some(p =>
+            fullPath === p || fullPath.startsWith(p + "/") || p.startsWith(fullPath === "/" ? "/" : fullPath + "/")
+        );
+    }
 
     /**
-     * 
-     * @param {string} name 
-     * @param {string} parentPath 
-     * @returns 
+     * Moves a node to the trash, or deletes it for good if it is already in the trash
+     * @param {string|OSFile|OSDirectory} path the node, or its path
+     * @param {boolean} recursive required to remove directories that are not empty
+     * @param {boolean} force required to remove protected paths
+     * @returns {string} the full path of the removed node
      */
-    static createDirectory(name, parentPath) {
+    static remove(path, recursive = false, force = false){
         if (!this.enabled) throw new OSError("FilesystemService is disabled");
 
-        if (!this.validationRegex.test(name)) {
-            throw new OSError(`Invalid directory name: "${name}". Only alphanumeric characters, underscores, hyphens, and periods are allowed.`);
+        const node = path instanceof OSFile || path instanceof OSDirectory ? path : this.resolvePath(path, "full");
+
+        if (!node) throw new OSError(`Path not found: "${path}"`);
+        if (!node.parent) throw new OSError(`Cannot remove root directory`);
+
+        const fullPath = node.fullPath();
+
+        if (node instanceof OSDirectory && node.children.size > 0 && !recursive) {
+            throw new OSError(`"${fullPath}" is not empty. Use --recursive to remove it and everything inside it.`);
         }
 
-        const parentDir = parentPath ? this.resolvePath(parentPath) : this.currentDirectory;
-        if (!parentDir || !(parentDir instanceof OSDirectory)) return null;
+        if (this.isProtected(node) && !force) {
+            throw new OSError(`"${fullPath}" is protected. Use --force to remove it.`);
+        }
 
-        if (parentDir.children.has(name)) {
-            throw new OSError(`A file or directory with the name "${name}" already exists in "${parentDir.name}".`);
+        this.checkPermission(node.parent, "w", "remove from");
+
+        const parent = node.parent;
+
+        parent.children.delete(node.fullName());
+        parent.touch();
+
+        if (!fullPath.startsWith(this.trashPath + "/") && fullPath !== this.trashPath) {
+            const trash = this.getTrash();
+            const id = String(Math.max(0, ...trash.list().map(x => Number(x.name)).filter(x => !isNaN(x))) + 1);
+
+            const entry = new OSDirectory(id, trash);
+            trash.children.set(id, entry);
+
+            node.parent = entry;
+            entry.children.set(node.fullName(), node);
+            trash.touch();
+
+            this.getTrashIndex().append([id, fullPath, Date.now()].join(this.trashSeparator));
         }
 
-        const dir = new OSDirectory(name, parentDir);
-        parentDir.children.set(name, dir);
-        DiagnosticService.record(`FilesystemService_createDirectory ${name} in ${parentDir.name}`);
+        this.leaveDetached(node, parent);
 
-        return dir;
+        DiagnosticService.record(`FilesystemService_remove ${fullPath}`);
+        PersistenceService.markDirty();
+        return fullPath;
+    }
+
+    /**
+     * Moves the current directory out of a subtree that was taken out of the tree, so the prompt never shows a path that is gone
+     * @param {OSFile|OSDirectory} detached 
+     * @param {OSDirectory} survivor the nearest ancestor of detached that is still in the tree
+     */
+    static leaveDetached(detached, survivor){
+        for (let node = this.currentDirectory; node; node = node.parent) {
+            if (node !== detached) continue;
+
+            this.currentDirectory = survivor;
+            this.workingDirectory = this.getCurrentPath();
+            DiagnosticService.record(`FilesystemService_leaveDetached ${this.workingDirectory}`);
+            return;
+        }
     }
 
     /**
      * 
-     * @param {string} identifier 
-     * @param {string} parentPath 
-     * @param {string[]} content 
-     * @returns 
+     * @returns {OSDirectory} the trash directory, created if it does not exist yet
      */
-    static createFile(identifier, parentPath, content = []) {
+    static getTrash(){
+        const existing = this.resolvePath(this.trashPath, "none", false);
+        if (existing) return existing;
+
+        // everyone can put things in the trash
+        const trash = this.createDirectory(this.trashPath.slice(1), "/");
+        trash.mode = 0o77;
+        return trash;
+    }
+
+    static getTrashIndex(){
+        const trash = this.getTrash();
+        const existing = trash.children.get(this.trashIndex);
+        if (existing) return existing;
+
+        const index = this.createFile(this.trashIndex, this.trashPath, []);
+        index.mode = 0o66;
+        return index;
+    }
+
+    /**
+     * 
+     * @returns {{id: string, path: string, timestamp: number, node: OSFile|OSDirectory}[]} everything in the trash, oldest first
+     */
+    static listTrash(){
         if (!this.enabled) throw new OSError("FilesystemService is disabled");
 
-        if(typeof identifier !== "string") throw new OSError(`File identifier must be a string, got ${typeof identifier}`);
+        const trash = this.getTrash();
+
+        return this.getTrashIndex().read()
+            .map(line => line.split(this.trashSeparator))
+            .filter(([id]) => trash.children.get(id)?.children.size > 0)
+            .map(([id, path, timestamp]) => ({
+                id,
+                path,
+                timestamp: Number(timestamp),
+                node: trash.children.get(id).list()[0],
+            }));
+    }
 
-        if(typeof parentPath !== "string") throw new OSError(`Parent path must be a string, got ${typeof parentPath}`);
+    /**
+     * Puts a trashed node back where it was removed from
+     * @param {string} id 
+     * @param {boolean} force overwrite whatever is at the original path now
+     * @returns {string} the restored path
+     */
+    static restore(id, force = false){
+        if (!this.enabled) throw new OSError("FilesystemService is disabled");
 
-        if(!Array.isArray(content)) throw new OSError(`File content must be an array of strings, got ${typeof content}`);
+        const item = this.listTrash().find(x => x.id === id);
+        if (!item) throw new OSError(`Nothing with id "${id}" in the trash`);
 
-        // if (!this.validationRegex.test(name)) {
-        //     throw new OSError(`Invalid file name: "${name}". Only alphanumeric characters, underscores, hyphens, and periods are allowed.`);
-        // }
+        const parentPath = item.path.slice(0, item.path.lastIndexOf("/")) || "/";
+        const parent = this.resolvePath(parentPath, "none");
 
-        if(identifier.split(".").length != 2){
-            throw new OSError(`Invalid file identifier: "${identifier}". Must be in the format "name.type"`);
+        if (!(parent instanceof OSDirectory)) {
+            throw new OSError(`Cannot restore "${item.path}": "${parentPath}" no longer exists`);
         }
 
-        let [name, type] = identifier.split(".");
-
-        if(!this.validationRegex.test(name) || !this.validationRegex.test(type)){
-            throw new OSError(`Invalid file identifier: "${identifier}". Only alphanumeric characters, underscores, hyphens, and periods are allowed.`);
+        if (parent.children.has(item.node.fullName()) && !force) {
+            throw new OSError(`Cannot restore "${item.path}": it already exists. Use --force to overwrite it.`);
         }
 
-        const parentDir = parentPath ? this.resolvePath(parentPath) : this.currentDirectory;
-        if (!parentDir || !(parentDir instanceof OSDirectory)) return null;
+        this.checkPermission(parent, "w", "restore into");
 
-        const file = new OSFile(identifier, parentDir, content);
+        const trash = this.getTrash();
+        trash.children.delete(id);
 
-        if (parentDir.children.has(identifier)) {
-            throw new OSError(`A file "${identifier}" already exists in "${parentDir.name}".`);
-        }
+        item.node.parent = parent;
+        parent.children.set(item.node.fullName(), item.node);
+        parent.touch();
+        trash.touch();
 
+        const index = this.getTrashIndex();
+        index.write(index.read().filter(line => line.split(this.trashSeparator)[0] !== id));
 
-        parentDir.children.set(identifier, file);
-        DiagnosticService.record(`FilesystemService_createFile ${identifier} -> ${parentDir.name}`);
-        return file;
+        DiagnosticService.record(`FilesystemService_restore ${item.path}`);
+        PersistenceService.markDirty();
+        return item.path;
+    }
+
+    static emptyTrash(){
+        if (!this.enabled) throw new OSError("FilesystemService is disabled");
+
+        const trash = this.getTrash();
+        const count = this.listTrash().length;
+
+        trash.children.clear();
+        trash.touch();
+        this.getTrashIndex();
+
+        DiagnosticService.record("FilesystemService_emptyTrash");
+        PersistenceService.markDirty();
+        return count;
     }
 
     /**
-     * 
-     * @param {String} path
-     * @param {"file"|"directory"|"full"|none} assumption 
-     * @returns 
+     * Works out where a copied or moved node goes. If destPath is an existing directory the node keeps its name inside it, otherwise destPath is the new path of the node
+     * @param {OSFile|OSDirectory} source 
+     * @param {string} destPath 
+     * @param {boolean} force replace an existing file or directory at the destination
+     * @returns {{parent: OSDirectory, identifier: string}}
      */
-    static setWorkingDirectory(path, assumption = "none") {
-        if(!this.enabled) throw new OSError("FilesystemService is disabled");
-        const dir = this.resolvePath(path, assumption);
-        if (!dir || !(dir instanceof OSDirectory)) throw new OSError(`Directory not found: "${path}"`);
+    static resolveDestination(source, destPath, force = false) {
+        const target = this.resolvePath(destPath, "none");
 
-        this.currentDirectory = dir;
-        this.workingDirectory = this.getCurrentPath();
-        return true;
-    }
+        let parent;
+        let identifier;
 
-    static getCurrentPath() {
-        if(!this.enabled) return "?";
-        let path = [];
-        let node = this.currentDirectory;
+        if (target instanceof OSDirectory && target !== source) {
+            parent = target;
+            identifier = source instanceof OSFile ? source.fullName() : source.name;
+        } else {
+            const parts = destPath.split("/");
+            identifier = parts.pop();
 
-        while (node && node.parent) {
-            path.unshift(node.name);
-            node = node.parent;
+            const parentPath = parts.join("/") || (destPath.startsWith("/") ? "/" : ".");
+            parent = this.resolvePath(parentPath, "none");
+
+            if (!(parent instanceof OSDirectory)) throw new OSError(`Directory not found: "${parentPath}"`);
+            if (!identifier) throw new OSError(`Invalid destination: "${destPath}"`);
+
+            if (source instanceof OSFile && !identifier.includes(".")) identifier += `.${source.type}`;
         }
 
-        return "/" + path.join("/");
-    }
-}
+        if (source instanceof OSFile) {
+            const [name, type, ...rest] = identifier.split(".");
 
-class SaviorService {
-    static os = null;
-    static enabled = false;
-    static #notified = false;
+            if (rest.length > 0 || !this.validationRegex.test(name) || !this.validationRegex.test(type)) {
+                throw new OSError(`Invalid file identifier: "${identifier}". Must be in the format "name.type" using only alphanumeric characters, underscores, hyphens, and periods.`);
+            }
+        } else if (!this.validationRegex.test(identifier)) {
+            throw new OSError(`Invalid directory name: "${identifier}". Only alphanumeric characters, underscores, hyphens, and periods are allowed.`);
+        }
 
-    static watch(service){
-        setInterval(() => {
-            if(!this.enabled) return;
-            if(service.enabled == false){
-                this.os.savior(`Enabled ${service.name}`);
-                DiagnosticService.record(`SaviorService_save ${service.name}`);
-                OutputService.clear();
-                service.enable();
-                this.os.commandLine();
+        // a directory cannot end up inside its own subtree
+        if (source instanceof OSDirectory) {
+            for (let node = parent; node; node = node.parent) {
+                if (node === source) throw new OSError(`Cannot place "${source.fullPath()}" inside itself`);
             }
-        }, 5000);
-    }
-    static init(os) {
-        if(this.os) return;
-        this.os = os;
-        this.enabled = true;
-        DiagnosticService.record("SaviorService_init");
+        }
 
-        ServiceManager.services.forEach(service => {
-            if(service.critical){
-                SaviorService.watch(service);
+        const existing = parent.children.get(identifier);
+
+        if (existing === source) throw new OSError(`"${source.fullPath()}" and "${destPath}" are the same`);
+
+        if (existing) {
+            if (!force) throw new OSError(`"${existing.fullPath()}" already exists. Use --force to overwrite it.`);
+            if ((existing instanceof OSDirectory) !== (source instanceof OSDirectory)) {
+                throw new OSError(`Cannot overwrite ${existing instanceof OSDirectory ? "directory" : "file"} "${existing.fullPath()}" with a ${source instanceof OSDirectory ? "directory" : "file"}`);
             }
-        });
-    }
+        }
 
-    static enable(){
-        if(this.enabled) return;
-        this.enabled = true;
-        DiagnosticService.record("SaviorService_enable");
+        return { parent, identifier };
     }
 
-    static disable(){
-        if(!this.enabled) return;
-        this.enabled = false;
-        DiagnosticService.record("SaviorService_disable");
+    /**
+     * 
+     * @param {OSFile|OSDirectory} node 
+     * @param {OSDirectory} parent 
+     * @param {string} identifier new name, "name.type" for files
+     * @returns {OSFile|OSDirectory} a deep copy of node
+     */
+    static cloneNode(node, parent, identifier) {
+        if (node instanceof OSFile) {
+            const file = new OSFile(identifier, parent, node.read(false, false).slice());
+            file.mode = node.mode;
+            return file;
+        }
+
+        const dir = new OSDirectory(identifier, parent);
+        dir.mode = node.mode;
+
+        for (const child of node.list()) {
+            const childIdentifier = child instanceof OSFile ? child.fullName() : child.name;
+            dir.children.set(childIdentifier, this.cloneNode(child, dir, childIdentifier));
+        }
+
+        return dir;
     }
 
     /**
-     * Notifies the savior service that the command line is supposed to be unavailable so it will not take steps to restore it
-     * @returns 
+     * 
+     * @param {string} sourcePath 
+     * @param {string} destPath 
+     * @param {boolean} force 
+     * @returns {OSFile|OSDirectory} the copy
      */
-    static notify(){
-        if(!this.enabled) return;
-        if(this.#notified) return;
-        this.#notified = true;
-        DiagnosticService.record("SaviorService_notify");
+    static copy(sourcePath, destPath, force = false) {
+        if (!this.enabled) throw new OSError("FilesystemService is disabled");
+
+        const source = this.resolvePath(sourcePath, "full");
+        if (!source) throw new OSError(`Path not found: "${sourcePath}"`);
+        if (!source.parent) throw new OSError("Cannot copy root directory");
+
+        const { parent, identifier } = this.resolveDestination(source, destPath, force);
+
+        this.checkPermission(parent, "w", "copy into");
+
+        const copy = this.cloneNode(source, parent, identifier);
+        parent.children.set(identifier, copy);
+        parent.touch();
+
+        DiagnosticService.record(`FilesystemService_copy ${source.fullPath()} -> ${copy.fullPath()}`);
+        PersistenceService.markDirty();
+
+        return copy;
     }
 
     /**
-     * Unnotifies the savior service that the command line is supposed to be unavailable. Should be called when the command line is available again after being unavailable for some reason.
-     * @returns 
+     * 
+     * @param {string} sourcePath 
+     * @param {string} destPath 
+     * @param {boolean} force 
+     * @returns {OSFile|OSDirectory} the moved node
      */
-    static unnotify(){
-        if(!this.enabled) return;
-        if(this.#notified == false) return;
-        this.#notified = false;
-        DiagnosticService.record("SaviorService_unnotify");
-    }
+    static move(sourcePath, destPath, force = false) {
+        if (!this.enabled) throw new OSError("FilesystemService is disabled");
 
-    static notified(){
-        if(!this.enabled) return false;
-        return this.#notified;
-    }
-}
+        const source = this.resolvePath(sourcePath, "full");
+        if (!source) throw new OSError(`Path not found: "${sourcePath}"`);
+        if (!source.parent) throw new OSError("Cannot move root directory");
 
-class OutputService {
-    static buffer = [];
-    static os = null;
-    static enabled = false;
+        const { parent, identifier } = this.resolveDestination(source, destPath, force);
+        const oldPath = source.fullPath();
 
-    static enable(){
-        this.enabled = true;
-        DiagnosticService.record("OutputService_enable");
-    }
+        this.checkPermission(source.parent, "w", "move out of");
+        this.checkPermission(parent, "w", "move into");
 
-    static disable(){
-        this.enabled = false;
-        DiagnosticService.record("OutputService_disable");
-    }
+        source.parent.children.delete(source instanceof OSFile ? source.fullName() : source.name);
+        source.parent.touch();
 
-    static init(os) {
-        if(this.os) return;
-        this.buffer = [];
-        this.os = os;
-        this.enabled = true;
-        DiagnosticService.record("OutputService_init");
-    }
+        if (source instanceof OSFile) {
+            [source.name, source.type] = identifier.split(".");
+        } else {
+            source.name = identifier;
+        }
 
-    static add(line) {
-        if(!this.enabled) return;
-        DiagnosticService.record("OutputService_add");
-        this.buffer.push(line);
+        // --force replaces whatever was there, which may have had the working directory inside it
+        const replaced = parent.children.get(identifier);
+
+        source.parent = parent;
+        parent.children.set(identifier, source);
+        parent.touch();
+
+        if (replaced) this.leaveDetached(replaced, parent);
+
+        // the working directory may have been inside the moved subtree
+        this.workingDirectory = this.getCurrentPath();
+
+        DiagnosticService.record(`FilesystemService_move ${oldPath} -> ${source.fullPath()}`);
+        PersistenceService.markDirty();
+
+        return source;
     }
 
-    static flush() {
-        if(!this.enabled) return;
+    /**
+     * Saves a directory and everything inside it to an archive file
+     * @param {string} dirPath 
+     * @param {string} archivePath ".swa" is added if it has no file type
+     * @returns {OSFile} the archive
+     */
+    static pack(dirPath, archivePath) {
+        if (!this.enabled) throw new OSError("FilesystemService is disabled");
 
-        let lineTypes = new Set();
+        const dir = this.resolvePath(dirPath, "directory");
+        if (!(dir instanceof OSDirectory)) throw new OSError(`Directory not found: "${dirPath}"`);
 
-        for(const line of this.buffer){
-            lineTypes.add(line.type);
+        this.checkPermission(dir, "r", "pack");
 
-            if(line.type === "line") this.os.line(line.content, line.loc);
-            else if(line.type === "error") this.os.error(line.content);
-            else if(line.type === "severe_error") this.os.severe(line.content);
-            else if(line.type === "savior") this.os.savior(line.content);
-            else if(line.type === "html") this.os.htmlLine(line.content, line.loc);
-            else if(line.type === "pixel_matrix") {
-                if(line.legacy) this.os.pixelMatrixLegacy(line.content, line.pixelSize);
-                else this.os.pixelMatrix(line.content, line.pixelSize);
-            } else {
-                console.error(`OutputService: Unknown line type: ${line.type}`, line);
-                throw new OSError(`OutputService: Unknown line type: ${line.type}`);
-            }
-        }
-        DiagnosticService.record(`OutputService_flush ${Array.from(lineTypes).join(",")}`);
-        this.buffer.length = 0;
-    }
+        const identifier = archivePath.split("/").pop();
+        if (identifier && !identifier.includes(".")) archivePath += `.${ArchiveReader.header}`;
 
-    static clear() {
-        if(!this.enabled) return;
-        DiagnosticService.record("OutputService_clear");
-        this.buffer.length = 0;
-    }
+        const archive = this.writeFile(archivePath, ArchiveReader.encode(dir));
 
-    static isEmpty() {
-        if(!this.enabled) return true;
-        return this.buffer.length === 0;
+        DiagnosticService.record(`FilesystemService_pack ${dir.fullPath()} -> ${archive.fullPath()}`);
+        return archive;
     }
-}
-
-class DiagnosticService {
-    static enabled = false;
-    static os = null;
 
-    static separator = "\x1F";
+    /**
+     * 
+     * @param {string} archivePath 
+     * @returns {OSDirectory} the archived directory, not attached to the filesystem
+     */
+    static readArchive(archivePath) {
+        if (!this.enabled) throw new OSError("FilesystemService is disabled");
 
-    static diagnosticData = [];
+        const archive = this.resolvePath(archivePath, "full");
+        if (!(archive instanceof OSFile)) throw new OSError(`file "${archivePath}" could not be found`);
 
-    static enable(path){
-        this.enabled = true;
-        this.logFile = path;
-        DiagnosticService.record("DiagnosticService_enable");
+        return ArchiveReader.decode(archive.read());
     }
 
-    static disable(){
-        DiagnosticService.record("DiagnosticService_disable");
-        this.enabled = false;
-    }
+    /**
+     * Recreates an archived directory. Like copying, the destination can be a directory to unpack into or a new path
+     * @param {string} archivePath 
+     * @param {string} destPath 
+     * @param {boolean} force replace a directory that already exists, which is removed to the trash. Protected directories are never replaced
+     * @returns {OSDirectory} the unpacked directory
+     */
+    static unpack(archivePath, destPath = ".", force = false) {
+        const dir = this.readArchive(archivePath);
+        const { parent, identifier } = this.resolveDestination(dir, destPath, force);
 
-    static init(os) {
-        if(this.os) return;
-        this.os = os;
-        this.enabled = true;
-        DiagnosticService.record("DiagnosticService_init");
-    }
+        this.checkPermission(parent, "w", "unpack into");
 
-    static record(message){
-        if(!this.enabled) return;
+        // a directory being replaced goes the way remove sends it: refused if protected, otherwise to the trash
+        const existing = parent.children.get(identifier);
+        if (existing) this.remove(existing, true);
 
-        const stack = new Error().stack.split("\n").slice(2)
-        .map(line => 
-            line
-            .replace(/\(https?:\/\/.*?\)/, "")
-            .replace(/^\s*at\s*/, "")
-            .replace(/^\s*async\s*/, "")
-            .replace(/https?:\/\/.*?$/, "")
-            .replace("Object.fn", "CommandExecService.execute")
-            .replace(/Array\.forEach (\(<anonymous>\))?/, "")
-            .replace(/new Promise (\(<anonymous>\))?/, "")
-            .replace(/^OS\./, "OpSys.")
-            .replace(/^new OS/, "OpSys")
-            .replace("HTMLDivElement.<anonymous>", "DOM")
-            .replace("HTMLDocument.<anonymous>", "DOM")
-            .trim()
-        ).filter(line => line.length > 0).reverse();
-        // if last line is "new OS", remove it
+        // everything unpacked belongs to whoever unpacked it
+        const adopt = (node) => {
+            node.owner = this.currentUser;
+            if (node instanceof OSDirectory) node.list().forEach(adopt);
+        };
 
-        const replacer = ServiceManager.services.map(s => [s.name, s.abbreviation]);
+        adopt(dir);
 
-        stack.forEach((line, index) => {
-            replacer.forEach(([full, abbr]) => {
-                line = line.replace(full, abbr);
-            });
-            stack[index] = line;
-        });
+        dir.name = identifier;
+        dir.parent = parent;
+        parent.children.set(identifier, dir);
+        parent.touch();
 
-        const msg = { 
-            type: "record",
-            data: {
-                message,
-                timestamp: Date.now(),
-                stack: stack,
-            }
-        }
+        DiagnosticService.record(`FilesystemService_unpack ${archivePath} -> ${dir.fullPath()}`);
+        PersistenceService.markDirty();
 
-        this.diagnosticData.push(msg);
+        return dir;
     }
 
-    static note(message){
-        if(!this.enabled) return;
+    /**
+     * 
+     * @param {string} text 
+     * @returns {boolean} whether text contains any of the glob characters *, ? or [
+     */
+    static isGlob(text) {
+        return /[*?[]/.test(text);
+    }
 
-        const note = {
-            type: "note",
-            data: {
-                message: message,
+    /**
+     * Converts one path segment such as "*.txt" or "img[0-9]" to a regular expression
+     * @param {string} segment 
+     * @returns {RegExp}
+     */
+    static globToRegex(segment) {
+        let source = "";
+
+        for (let i = 0; i < segment.length; i++) {
+            const ch = segment[i];
+
+            if (ch === "*") source += ".*";
+            else if (ch === "?") source += ".";
+            else if (ch === "[" && segment.indexOf("]", i + 2) !== -1) {
+                const end = segment.indexOf("]", i + 2);
+                let set = segment.slice(i + 1, end);
+                const negate = set.startsWith("!") || set.startsWith("^");
+                if (negate) set = set.slice(1);
+
+                source += `[${negate ? "^" : ""}${set.replace(/[\\\]]/g, "\\$&")}]`;
+                i = end;
             }
+            else source += ch.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
         }
 
-        this.diagnosticData.push(note);
+        return new RegExp(`^${source}$`);
     }
 
-    static getData(){
-        return this.diagnosticData;
-    }
-}
+    /**
+     * Expands a glob pattern to the paths of every matching file and directory. Supports *, ?, [abc], [a-z], [!abc]
+     * and ** for any number of directories. Segments without glob characters must match exactly
+     * @param {string} pattern 
+     * @returns {string[]} matching paths in the same form as the pattern (relative or absolute), sorted
+     */
+    static glob(pattern) {
+        if (!this.enabled) throw new OSError("FilesystemService is disabled");
 
-class CommandExecService {
-    static queue = [];
-    static running = false;
-    static os = null;
-    static enabled = false;
+        pattern = this.expandHome(pattern);
 
-    static currentAbort = null;
-    static currentReject = null;
+        const absolute = pattern.startsWith("/");
+        const segments = pattern.split("/").filter(s => s.length > 0);
 
-    static delay = 50;
+        const join = (base, name) => base === "" ? name : base.endsWith("/") ? base + name : `${base}/${name}`;
 
-    static enable(){
-        this.enabled = true;
-        DiagnosticService.record("CommandExecService_enable");
-    }
+        // directories can only be searched if the current user can read them
+        const readable = (node) => node instanceof OSDirectory && this.hasPermission(node, "r");
 
-    static disable(){
-        this.enabled = false;
-        DiagnosticService.record("CommandExecService_disable");
-    }
+        const descendants = (node, path, includeFiles) => {
+            const found = [];
+            if (!readable(node)) return found;
 
-    static interrupt(err) {
-        if(!this.enabled) return;
-        if (!this.os) return;
+            for (const [childName, child] of node.children) {
+                const childPath = join(path, childName);
+                if (child instanceof OSDirectory || includeFiles) found.push({ node: child, path: childPath });
+                if (child instanceof OSDirectory) found.push(...descendants(child, childPath, includeFiles));
+            }
 
-        DiagnosticService.record("CommandExecService_interrupt");
-        this.queue = [];
-        OutputService.buffer.length = 0;
+            return found;
+        };
 
-        if (this.currentAbort) {
-            this.currentAbort.abort();
-        }
-    }
+        let matches = [{ node: absolute ? this.root : this.currentDirectory, path: absolute ? "/" : "" }];
 
-    /**
-     * Postpone command execution
-     * @returns 
-     */
-    static postpone(){
-        if(!this.enabled) return;
-        CommandExecService.queue.length = 0;
-        DiagnosticService.record("CommandExecService_postpone");
-        SaviorService.notify();
+        segments.forEach((segment, index) => {
+            const last = index === segments.length - 1;
+            const next = [];
+
+            for (const { node, path } of matches) {
+                if (segment === "." || segment === "..") {
+                    if (node instanceof OSDirectory) next.push({ node: segment === ".." ? node.parent ?? node : node, path: join(path, segment) });
+                    continue;
+                }
+
+                if (segment === "**") {
+                    // zero or more directories, or everything below when it ends the pattern
+                    if (!last) next.push({ node, path });
+                    next.push(...descendants(node, path, last));
+                    continue;
+                }
+
+                if (!readable(node)) continue;
+
+                if (!this.isGlob(segment)) {
+                    if (node.children.has(segment)) next.push({ node: node.children.get(segment), path: join(path, segment) });
+                    continue;
+                }
+
+                const regex = this.globToRegex(segment);
+
+                for (const [childName, child] of node.children) {
+                    if (regex.test(childName)) next.push({ node: child, path: join(path, childName) });
+                }
+            }
+
+            matches = next;
+        });
+
+        return [...new Set(matches.map(m => m.path))].sort();
     }
 
     /**
-     * resume normal command execution after postponement
+     * 
+     * @param {string} path 
+     * @param {"file"|"directory"|"full"|"none"} assumption
      * @returns 
      */
-    static continue(){
-        if(!this.enabled) return;
-        if (!this.os) throw new OSError("CommandExecService not initialized with OS instance");
+    static resolvePath(path, assumption = "none", log = true) {
+    if (!this.enabled) throw new OSError("FilesystemService is disabled");
 
-        DiagnosticService.record("CommandExecService_continue");
-        this.enqueue(this.os.parseCommand("obuffer"));
-        this.enqueue(this.os.parseCommand("commandline"));
-        this.runNext();
-        SaviorService.unnotify();
-    }
+    path = this.expandHome(path);
 
-    static init(os) {
-        if(this.os) return;
-        this.queue = [];
-        this.running = false;
-        this.os = os;
-        this.enabled = true;
-        DiagnosticService.record("CommandExecService_init");
-    }
+    const parts = path.split("/").filter(p => p.length > 0);
+    let node = path.startsWith("/") ? this.root : this.currentDirectory;
 
-    static enqueue(chain) {
-        if(!this.enabled) return;
-        if(!this.os) throw new Error("CommandExecService not initialized with OS instance");
-        return new Promise((resolve, reject) => {
-            DiagnosticService.record("CommandExecService_enqueue "+chain.simplify());
-            this.queue.push({ chain, resolve, reject });
-        });
-    }
+    for (const rawPart of parts) {
+        if (rawPart === ".") continue;
+        if (rawPart === "..") {
+            node = node.parent ?? node;
+            continue;
+        }
 
-    static instant(chain) {
-        if(!this.enabled) return;
-        if (!this.os) throw new OSError("CommandExecService not initialized with OS instance");
-        DiagnosticService.record("CommandExecService_instant "+chain.simplify());
-        
-        // push it to the front of the queue and run immediately
-        // this.queue.unshift({ chain, resolve, reject });
-        // this.runNext();
-    }
+        if (!(node instanceof OSDirectory)) return null;
 
-    static async runNext() {
-        if(!this.enabled) return;
-        if (!this.os) throw new OSError("CommandExecService not initialized with OS instance");
-        if (this.running) return;
-        if (this.queue.length === 0) return;
+        // Extract name and type from the path segment (e.g. foo.txt → ["foo", "txt"])
 
-        this.running = true;
+        const [givenName, givenType] = rawPart.split(".");
 
-        const { chain, resolve, reject } = this.queue.shift();
+        const children = node.children;
 
-        let controller = new AbortController();
-        this.currentAbort = controller;
-        this.currentReject = reject;
+        //
+        // === ASSUMPTION MODE: "none" ===
+        //
+        if (assumption === "none") {
+            const fullName = givenType ? `${givenName}.${givenType}` : givenName;
 
-        try {
-            let result = await this.os.runChain(chain, controller.signal);
-            if(CommandExecService.delay > 0){
-                await new Promise(r => setTimeout(r, CommandExecService.delay));
-            }
-            DiagnosticService.record("CommandExecService_runNext");
-            resolve(result);
-        } catch (e) {
-            if (e instanceof DOMException && e.name === "AbortError") {
-                OutputService.add({ type: "error", content: "Command execution interrupted." });
-                OutputService.flush();
-                resolve(null);
-            } else if (e instanceof OSError) {
-                DiagnosticService.record("CommandExecService_error executing " + chain.simplify());
+            if (!children.has(fullName)) return null;
 
-                if(e.severity === 0) OutputService.add({ type: "error", content: e.message });
-                else if(e.severity === 1) OutputService.add({ type: "severe_error", content: e.message });
-                resolve(null);
-            } else {
-                DiagnosticService.record("CommandExecService_unexpectedError " + chain.simplify());
-                OutputService.add({ type: "error", content: `An unexpected error occurred. Check console for details.` });
-                console.error(e)
-                resolve(null);
-            }
-        } finally {
-            this.currentAbort = null;
-            this.currentReject = null;
-            this.running = false;
-            // Only continue the queue if we weren't interrupted
-            if (!controller.signal.aborted) {
-                this.runNext();
-            }
+            node = children.get(fullName);
+            continue;
         }
-    }
-}
 
-class BackgroundTaskService {
-    static tasks = new Map();
+        //
+        // === ASSUMPTION MODES WITH PARTIAL MATCHING ===
+        //
+        const matches = [];
 
-    static taskNumber = 0;
+        for (const [childName, child] of children) {
+            const fileName = childName.split(".")[0]; // real name
+            const fileType = child instanceof OSFile ? child.type : null;
 
-    static init(os){
-        this.os = os;
-        this.enabled = true;
-        DiagnosticService.record("BackgroundTaskService_init");
-    }
+            const starts = fileName.startsWith(givenName);
 
-    enable(){
-        this.enabled = true;
-        DiagnosticService.record("BackgroundTaskService_enable");
-    }
+            //
+            // ---- DIRECTORY handling ----
+            //
+            if (child instanceof OSDirectory) {
+                if (assumption === "file") {
+                    // directories require exact match only
+                    if (childName === givenName) matches.push(child);
+                } else {
+                    // "directory" or "full": allow partial match
+                    if (starts) matches.push(child);
+                }
+                continue;
+            }
 
-    disable(){
-        this.enabled = false;
-        DiagnosticService.record("BackgroundTaskService_disable");
+            //
+            // ---- FILE handling ----
+            //
+            if (child instanceof OSFile) {
+                if (assumption === "directory") {
+                    // files require exact name+type under directory assumption
+                    if (fileName === givenName && fileType === givenType) {
+                        matches.push(child);
+                    }
+                    continue;
+                }
+
+                if (assumption === "file" || assumption === "full") {
+                    // match start of filename
+                    if (!starts) continue;
+
+                    // if path includes type, enforce match
+                    if (givenType && fileType !== givenType) continue;
+
+                    matches.push(child);
+                }
+            }
+        }
+
+        // resolve matches
+        if (matches.length === 0) return null;
+        if (matches.length > 1) {
+            throw new OSError(`Ambiguous path segment '${rawPart}' (${matches.map(x => x.fullName()).join(", ")})`);
+        }
+
+        node = matches[0];
     }
-}
 
-class ServiceManager {
-    static services = [OutputService, CommandExecService, CommandService, DiagnosticService, SaviorService, FilesystemService, ConfigService, ColorService, BackgroundTaskService];
-}
+    if(log == true) DiagnosticService.record(
+        `FilesystemService_resolvePath ${path} -> ${node instanceof OSDirectory ? "directory" : "file"
+        }: ${node.name}${node instanceof OSFile ? `.${node.type}` : ""}`
+    );
 
-ServiceManager.services.forEach(service => {
-    switch(service){
-        case ConfigService: {
-            service.abbreviation = "Csrv";
-            service.shortName = "config";
-            service.critial = true;
-        } break;
+    return node;
+}
 
-        case FilesystemService: {
-            service.abbreviation = "Fsrv";
-            service.shortName = "filesystem";
-            service.critical = true;
-        } break;
+    static validationRegex = /^[a-zA-Z0-9_\-\.]+$/;
 
-        case SaviorService: {
-            service.abbreviation = "Ssrv";
-            service.shortName = "savior";
-            service.critical = true;
-        } break;
+    /**
+     * 
+     * @param {string} name 
+     * @param {string} parentPath 
+     * @returns 
+     */
+    static createDirectory(name, parentPath) {
+        if (!this.enabled) throw new OSError("FilesystemService is disabled");
 
-        case OutputService: {
-            service.abbreviation = "Osrv";
-            service.shortName = "output";
-            service.critical = false;
-        } break;
+        if (!this.validationRegex.test(name)) {
+            throw new OSError(`Invalid directory name: "${name}". Only alphanumeric characters, underscores, hyphens, and periods are allowed.`);
+        }
 
-        case DiagnosticService: {
-            service.abbreviation = "Dsrv";
-            service.shortName = "diagnostic";
-            service.critical = false;
-        } break;
+        const parentDir = parentPath ? this.resolvePath(parentPath) : this.currentDirectory;
+        if (!parentDir || !(parentDir instanceof OSDirectory)) return null;
 
-        case CommandExecService: {
-            service.abbreviation = "Xsrv";
-            service.shortName = "commandexec";
-            service.critical = true;
-        } break;
+        if (parentDir.children.has(name)) {
+            throw new OSError(`A file or directory with the name "${name}" already exists in "${parentDir.name}".`);
+        }
 
-        case CommandService: {
-            service.abbreviation = "Esrv";
-            service.shortName = "command";
-            service.critical = true;
-        } break;
+        this.checkPermission(parentDir, "w", "create directories in");
 
-        case ColorService: {
-            service.abbreviation = "Rsrv";
-            service.shortName = "color";
-            service.critical = false;
-        } break;
+        const dir = new OSDirectory(name, parentDir);
+        parentDir.children.set(name, dir);
+        parentDir.touch();
+        DiagnosticService.record(`FilesystemService_createDirectory ${name} in ${parentDir.name}`);
+        PersistenceService.markDirty();
 
-        case BackgroundTaskService: {
-            service.abbreviation = "Bsrv";
-            service.shortName = "background";
-            service.critical = false;
-        } break;
+        return dir;
     }
-});
 
-class SwagObjectParser {
     /**
-     * @param {string[]} input - Array of lines to parse
+     * 
+     * @param {string} identifier 
+     * @param {string} parentPath 
+     * @param {string[]} content 
+     * @returns 
      */
-    constructor(input) {
-        this.lines = input.map(line => line.trim()).filter(line => line.length > 0 && !line.startsWith('//'));
-        this.index = 0;
-    }
-
-    parse() {
-        // top-level behaves like a block, but has no closing brace
-        return this.parseBlock(true);
-    }
+    static createFile(identifier, parentPath, content = []) {
+        if (!this.enabled) throw new OSError("FilesystemService is disabled");
 
-    objectToString(obj, indent = 0) {
-        let str = "";
-        const indentStr = "    ".repeat(indent);
-        for (const [key, value] of Object.entries(obj)) {
-            if (typeof value === "object" && !Array.isArray(value)) {
-                str += `${indentStr}${key} = {\n`;
-                this.objectToString(value, indent + 1);
-                str += `${indentStr}}\n`;
-            } else {
-                str += `${indentStr}${key} = ${JSON.stringify(value)}\n`;
-            }
-        }
-    }
+        if(typeof identifier !== "string") throw new OSError(`File identifier must be a string, got ${typeof identifier}`);
 
-    parseBlock(isTopLevel = false) {
-        const obj = {};
+        if(typeof parentPath !== "string") throw new OSError(`Parent path must be a string, got ${typeof parentPath}`);
 
-        while (this.index < this.lines.length) {
-            const line = this._cleanLine(this.lines[this.index++]);
-            if (!line) continue;
+        if(!Array.isArray(content)) throw new OSError(`File content must be an array of strings, got ${typeof content}`);
 
-            if (line === "}") {
-                if (isTopLevel) {
-                    throw new SyntaxError("Unexpected '}' at top level");
-                }
-                return obj;
-            }
+        // if (!this.validationRegex.test(name)) {
+        //     throw new OSError(`Invalid file name: "${name}". Only alphanumeric characters, underscores, hyphens, and periods are allowed.`);
+        // }
 
-            // nested object
-            const nested = line.match(
-                /^([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*\{$/
-            );
+        if(identifier.split(".").length != 2){
+            throw new OSError(`Invalid file identifier: "${identifier}". Must be in the format "name.type"`);
+        }
 
-            if (nested) {
-                obj[nested[1]] = this.parseBlock(false);
-                continue;
-            }
+        let [name, type] = identifier.split(".");
 
-            // key = value
-            const kv = line.match(
-                /^([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*(.+)$/
-            );
+        if(!this.validationRegex.test(name) || !this.validationRegex.test(type)){
+            throw new OSError(`Invalid file identifier: "${identifier}". Only alphanumeric characters, underscores, hyphens, and periods are allowed.`);
+        }
 
-            if (!kv) {
-                throw new OSError(`SwagObject parse error: Invalid line at ${this.index}: ${line}`);
-            }
+        const parentDir = parentPath ? this.resolvePath(parentPath) : this.currentDirectory;
+        if (!parentDir || !(parentDir instanceof OSDirectory)) return null;
 
-            const key = kv[1];
-            const value = this.parseValue(kv[2]);
+        const file = new OSFile(identifier, parentDir, content);
 
-            obj[key] = value;
+        if (parentDir.children.has(identifier)) {
+            throw new OSError(`A file "${identifier}" already exists in "${parentDir.name}".`);
         }
 
-        if (!isTopLevel) {
-            throw new OSError("SwagObject parse error: Unexpected end of input (missing })");
-        }
+        this.checkPermission(parentDir, "w", "create files in");
 
-        return obj;
+
+        parentDir.children.set(identifier, file);
+        parentDir.touch();
+        DiagnosticService.record(`FilesystemService_createFile ${identifier} -> ${parentDir.name}`);
+        PersistenceService.markDirty();
+        return file;
     }
 
-    parseValue(raw) {
-        const value = raw.trim();
+    /**
+     * Writes or appends lines to the file at path, creating it if it does not exist. Paths without a file type get ".txt"
+     * @param {string} path 
+     * @param {string[]} lines 
+     * @param {boolean} append 
+     * @param {boolean} newline when appending, false continues the last line of the file instead of starting a new one
+     * @returns {OSFile}
+     */
+    static writeFile(path, lines, append = false, newline = true) {
+        if (!this.enabled) throw new OSError("FilesystemService is disabled");
 
-        // ----- array -----
-        if (value.startsWith("[") && value.endsWith("]")) {
-            const inner = value.slice(1, -1).trim();
+        if (this.resolvePath(path, "none", false) instanceof OSDirectory) throw new OSError(`"${path}" is a directory`);
 
-            if (inner === "") return [];
+        const parts = path.split("/");
+        let identifier = parts.pop();
 
-            const parts = inner.split(",").map(p => p.trim());
+        if (!identifier) throw new OSError(`Invalid file path: "${path}"`);
 
-            return parts.map(p => {
-                // strings
-                if (/^(["']).*\1$/.test(p)) {
-                    return p.slice(1, -1);
-                }
+        // "notes" is notes.txt both when it is created and every time after
+        if (!identifier.includes(".")) {
+            identifier += ".txt";
+            path += ".txt";
+        }
 
-                // numbers
-                if (/^-?\d+(\.\d+)?$/.test(p)) {
-                    return Number(p);
-                }
+        const existing = this.resolvePath(path, "none");
 
-                // booleans
-                if (p === "true") return true;
-                if (p === "false") return false;
+        if (existing instanceof OSDirectory) throw new OSError(`"${path}" is a directory`);
 
-                throw new OSError(`SwagObject parse error: Invalid array value: ${p}`);
-            });
-        }
+        if (existing instanceof OSFile) {
+            if (append) existing.append(lines, newline);
+            else existing.write(lines);
 
-        // ----- string -----
-        if (/^(["']).*\1$/.test(value)) {
-            return value.slice(1, -1);
+            DiagnosticService.record(`FilesystemService_writeFile ${existing.fullPath()}${append ? " (append)" : ""}`);
+            return existing;
         }
 
-        // ----- number -----
-        if (/^-?\d+(\.\d+)?$/.test(value)) {
-            return Number(value);
-        }
+        const parentPath = parts.join("/") || (path.startsWith("/") ? "/" : "");
 
-        // ----- boolean -----
-        if (value === "true") return true;
-        if (value === "false") return false;
+        const file = this.createFile(identifier, parentPath, lines);
+        if (!file) throw new OSError(`Directory not found: "${parts.join("/")}"`);
 
-        throw new OSError(`SwagObject parser error: Invalid value: ${value}`);
+        return file;
     }
 
-    _cleanLine(line) {
-        line = line.replace(/\/\/.*$/, "");
-        return line.trim();
+    /**
+     * 
+     * @param {String} path
+     * @param {"file"|"directory"|"full"|none} assumption 
+     * @returns 
+     */
+    static setWorkingDirectory(path, assumption = "none") {
+        if(!this.enabled) throw new OSError("FilesystemService is disabled");
+        const dir = this.resolvePath(path, assumption);
+        if (!dir || !(dir instanceof OSDirectory)) throw new OSError(`Directory not found: "${path}"`);
+
+        this.currentDirectory = dir;
+        this.workingDirectory = this.getCurrentPath();
+        return true;
+    }
+
+    static getCurrentPath() {
+        if(!this.enabled) return "?";
+        let path = [];
+        let node = this.currentDirectory;
+
+        while (node && node.parent) {
+            path.unshift(node.name);
+            node = node.parent;
+        }
+
+        return "/" + path.join("/");
     }
 }
 
-class OSCommandChain {
-    constructor(parts){
-        this.parts = parts;
+/**
+ * In-memory stand-in for window.localStorage. Implements the subset of the Storage API that PersistenceService uses, so the filesystem can be persisted (and tested) where no browser storage exists.
+ */
+class MemoryStorageAdapter {
+    #data = new Map();
+
+    getItem(key){
+        return this.#data.has(key) ? this.#data.get(key) : null;
     }
 
-    addPart(part){
-        this.parts.push(part);
+    setItem(key, value){
+        this.#data.set(key, String(value));
     }
 
-    simplify(){
-        return this.parts.map(part => part.name).join("_");
+    removeItem(key){
+        this.#data.delete(key);
     }
 }
 
-class OSError extends Error {
-    constructor(message, severity = 0) {
-        super(message);
-        this.name = "OSError";
-        this.severity = severity;
+class PersistenceService {
+    static enabled = false;
+    static os = null;
+    static adapter = null;
+    static dirty = false;
+
+    static storageKey = "swagOS2_filesystem";
+    static snapshotVersion = 1;
+
+    // bump it and list the new paths in seededPaths whenever createFilesystem seeds something new
+    static defaultsVersion = 2;
+    // what the current tree has been seeded with. Snapshots from before defaults were versioned count as 1
+    static seededVersion = PersistenceService.defaultsVersion;
+
+    /**
+     * The paths createFilesystem added in each defaults version after the first
+     */
+    static seededPaths = {
+        2: ["/etc", "/home", "/bin", "/usr", "/config/autostart.sh"],
+    };
+
+    /**
+     * 
+     * @param {OS} os 
+     * @param {{getItem: Function, setItem: Function, removeItem: Function}} adapter any object implementing the Storage API (localStorage, MemoryStorageAdapter, ...)
+     */
+    static init(os, adapter) {
+        if(this.os) return;
+        this.os = os;
+        this.adapter = adapter ?? globalThis.localStorage ?? new MemoryStorageAdapter();
+        this.enabled = true;
+        DiagnosticService.record("PersistenceService_init");
     }
-}
 
-class OSFile {
-    static calculateSize(data){
-        return new TextEncoder().encode(data.join("\n")).byteLength;
+    static enable(){
+        this.enabled = true;
+        DiagnosticService.record("PersistenceService_enable");
     }
 
-    #content = [];
-    #size = 0;
+    static disable(){
+        this.enabled = false;
+        DiagnosticService.record("PersistenceService_disable");
+    }
 
-    constructor(identifier, parent, content = []) {
-        let [name, type] = identifier.split(".");
+    static markDirty(){
+        if(!this.enabled) return;
+        this.dirty = true;
+    }
 
-        this.name = name;
-        this.type = type;
-        this.parent = parent; // parent directory
-        this.#content = content;
-        this.#size = OSFile.calculateSize(content);
+    static hasSnapshot(){
+        if(!this.enabled) return false;
+        return this.adapter.getItem(this.storageKey) !== null;
     }
 
-    fullName() {
-        return `${this.name}.${this.type}`;
+    /**
+     * Writes the filesystem snapshot to storage if anything changed since the last save
+     * @param {boolean} force save even if nothing changed
+     * @returns {boolean} whether a snapshot was written
+     */
+    static flush(force = false){
+        if(!this.enabled) return false;
+        if(!this.dirty && !force) return false;
+
+        const snapshot = {
+            version: this.snapshotVersion,
+            defaults: this.seededVersion,
+            timestamp: Date.now(),
+            root: this.serializeNode(FilesystemService.root),
+        };
+
+        try {
+            this.adapter.setItem(this.storageKey, JSON.stringify(snapshot));
+        } catch (e) {
+            DiagnosticService.record("PersistenceService_flush failed");
+            throw new OSError(`Failed to save filesystem snapshot: ${e.message}`, 1);
+        }
+
+        this.dirty = false;
+        DiagnosticService.record("PersistenceService_flush");
+        return true;
     }
 
-    fullPath() {
-        let path = [];
-        let node = this.parent;
+    /**
+     * Replaces the filesystem tree with the stored snapshot
+     * @returns {boolean} whether a snapshot was restored
+     */
+    static restore(){
+        if(!this.enabled) return false;
 
-        while (node && node.parent) {
-            path.unshift(node.name);
-            node = node.parent;
+        const raw = this.adapter.getItem(this.storageKey);
+        if(raw === null) return false;
+
+        let snapshot;
+
+        try {
+            snapshot = JSON.parse(raw);
+        } catch (e) {
+            throw new OSError(`Filesystem snapshot is corrupted: ${e.message}`, 1);
+        }
+
+        if(snapshot.version !== this.snapshotVersion){
+            throw new OSError(`Unsupported filesystem snapshot version: ${snapshot.version}`, 1);
+        }
+
+        let root;
+
+        try {
+            root = this.deserializeNode(snapshot.root, null);
+        } catch (e) {
+            // e.g. a node that is null or has no children array
+            throw new OSError(`Filesystem snapshot is corrupted: ${e.message}`, 1);
         }
 
-        return "/" + path.join("/") + "/" + this.fullName();
+        if(!(root instanceof OSDirectory)) throw new OSError("Filesystem snapshot root is not a directory", 1);
+
+        FilesystemService.root = root;
+        FilesystemService.currentDirectory = root;
+        FilesystemService.workingDirectory = "/";
+
+        this.seededVersion = snapshot.defaults ?? 1;
+        this.dirty = false;
+        DiagnosticService.record("PersistenceService_restore");
+        return true;
     }
 
-    read(join = false) {
-        if(join) return this.#content.join("\n");
-        return this.#content;
+    static confBlock = /^([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*\{$/;
+    static confKey = /^([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*(.+)$/;
+
+    /**
+     * Brings a restored filesystem up to date with createFilesystem: adds the paths seeded since the snapshot's defaults version,
+     * and the missing keys of .conf files that exist in both. Nothing the user removed, moved or renamed comes back
+     * @returns {string[]} paths of the added nodes and updated files
+     */
+    static migrate(){
+        if(!this.enabled) return [];
+
+        const restored = FilesystemService.root;
+        const directory = FilesystemService.currentDirectory;
+
+        let defaults;
+
+        FilesystemService.root = new OSDirectory("root");
+        FilesystemService.currentDirectory = FilesystemService.root;
+
+        try {
+            createFilesystem();
+        } finally {
+            DiagnosticService.enable();
+            defaults = FilesystemService.root;
+            FilesystemService.root = restored;
+            FilesystemService.currentDirectory = directory;
+        }
+
+        const changed = [];
+
+        for(const [version, paths] of Object.entries(this.seededPaths)){
+            if(Number(version) <= this.seededVersion) continue;
+
+            for(const path of paths){
+                const node = this.findNode(defaults, path);
+                const parent = this.findNode(restored, path.slice(0, path.lastIndexOf("/")));
+
+                if(!node || !(parent instanceof OSDirectory) || parent.children.has(node.fullName())) continue;
+
+                node.parent = parent;
+                parent.children.set(node.fullName(), node);
+                changed.push(node.fullPath());
+            }
+        }
+
+        changed.push(...this.mergeConfs(restored, defaults));
+
+        // accounts copy /config/user.conf when they are made, so their copies miss the same keys
+        const userConf = defaults.children.get("config")?.children.get("user.conf");
+
+        for(const account of UserService.getAccounts()){
+            const file = FilesystemService.resolvePath(`${account.home}/user.conf`, "none", false);
+            if(file instanceof OSFile && userConf && this.mergeFile(file, userConf)) changed.push(file.fullPath());
+        }
+
+        if(changed.length > 0) DiagnosticService.record(`PersistenceService_migrate ${changed.join(" ")}`);
+
+        if(changed.length > 0 || this.seededVersion !== this.defaultsVersion){
+            this.seededVersion = this.defaultsVersion;
+            this.markDirty();
+        }
+
+        return changed;
     }
 
     /**
      * 
-     * @param {String[]} newContent 
+     * @param {OSDirectory} root a tree that isn't necessarily FilesystemService.root
+     * @param {string} path absolute, with full names
+     * @returns {OSFile|OSDirectory|undefined}
      */
-    write(newContent) {
-        this.#content = newContent;
-        this.#size = OSFile.calculateSize(newContent);
+    static findNode(root, path){
+        return path.split("/").filter(Boolean).reduce((node, name) => node?.children?.get(name), root);
     }
 
-    append(content, newline = true){
+    /**
+     * 
+     * @param {OSDirectory} current 
+     * @param {OSDirectory} defaults 
+     * @returns {string[]} paths of the .conf files that got keys added
+     */
+    static mergeConfs(current, defaults){
+        const changed = [];
 
-        if(Array.isArray(content)){
-            if(newline) this.#content.push(...content);
-            else {
-                if(this.#content.length === 0) this.#content.push(content[0]);
-                else this.#content[this.#content.length - 1] += content[0];
+        for(const child of defaults.list()){
+            const existing = current.children.get(child.fullName());
+
+            if(existing instanceof OSDirectory && child instanceof OSDirectory){
+                changed.push(...this.mergeConfs(existing, child));
+            } else if(existing instanceof OSFile && child instanceof OSFile && this.mergeFile(existing, child)){
+                changed.push(existing.fullPath());
             }
-        } else {
-            if(newline) this.#content.push(content);
-            else this.#content[this.#content.length - 1] += content;
         }
-        
-        this.#size = OSFile.calculateSize(this.#content);
+
+        return changed;
     }
 
-    getSize(formatted = false){
+    /**
+     * Adds the keys of a default .conf file that file is missing
+     * @param {OSFile} file 
+     * @param {OSFile} defaults 
+     * @returns {boolean} whether anything was added
+     */
+    static mergeFile(file, defaults){
+        if(file.type !== "conf" || defaults.type !== "conf") return false;
 
-        if(formatted == false) return this.#size;
+        const lines = this.mergeConf(file.read(false, false), defaults.read(false, false));
+        if(!lines) return false;
 
-        const total = this.#size;
+        file.write(lines);
+        return true;
+    }
 
-        function f(n){
-            return Number(n.toFixed(2)).toLocaleString("en-US")
-        }
+    /**
+     * 
+     * @param {string[]} current 
+     * @param {string[]} defaults 
+     * @returns {string[]|null} current with the lines of missing keys and blocks added to the end of their block, or null if nothing is missing.
+     * A file that doesn't parse is left for its owner to fix
+     */
+    static mergeConf(current, defaults){
+        const clean = (line) => line.replace(/\/\/.*$/, "").trim();
+        const parse = (lines) => new SwagObjectParser(lines).parse();
 
-        if (total < 1024) {
-            // B → KB
-            return `${f(total)} B`;
-        }
-        else if (total < 1024 * 1024) {
-            const kb = total / 1024;
-            return `${f(kb)} KB (${f(total)} B)`;
+        let lines = current.slice();
+        let config;
+
+        try {
+            config = parse(lines);
+        } catch (e) {
+            if(!(e instanceof OSError) && !(e instanceof SyntaxError)) throw e;
+            return null;
         }
-        else if (total < 1024 * 1024 * 1024) {
-            const kb = total / 1024;
-            const mb = total / (1024 * 1024);
-            return `${f(mb)} MB (${f(kb)} KB)`;
+
+        const path = [];
+        let changed = false;
+
+        for(let i = 0; i < defaults.length; i++){
+            const line = clean(defaults[i]);
+
+            if(line === "}"){
+                path.pop();
+                continue;
+            }
+
+            const match = line.match(this.confBlock) ?? line.match(this.confKey);
+            if(!match) continue;
+
+            const isBlock = this.confBlock.test(line);
+            const parent = path.reduce((obj, key) => obj?.[key], config);
+
+            if(typeof parent !== "object" || parent === null || parent[match[1]] !== undefined){
+                if(isBlock) path.push(match[1]);
+                continue;
+            }
+
+            // a missing block is copied whole, up to its closing brace
+            let end = i;
+
+            if(isBlock){
+                for(let depth = 0; end < defaults.length; end++){
+                    const inner = clean(defaults[end]);
+                    if(this.confBlock.test(inner)) depth++;
+                    else if(inner === "}" && --depth === 0) break;
+                }
+            }
+
+            lines.splice(this.confBlockEnd(lines, path), 0, ...defaults.slice(i, end + 1));
+            config = parse(lines);
+            changed = true;
+            i = end;
         }
-        else {
-            const mb = total / (1024 * 1024);
-            const gb = total / (1024 * 1024 * 1024);
-            return `${f(gb)} GB (${f(mb)} MB)`;
+
+        return changed ? lines : null;
+    }
+
+    /**
+     * 
+     * @param {string[]} lines 
+     * @param {string[]} path keys of the nested blocks, empty for the top level
+     * @returns {number} index of the line closing the block, where new keys go
+     */
+    static confBlockEnd(lines, path){
+        if(path.length === 0) return lines.length;
+
+        const stack = [];
+
+        for(let i = 0; i < lines.length; i++){
+            const line = lines[i].replace(/\/\/.*$/, "").trim();
+            const block = line.match(this.confBlock);
+
+            if(block){
+                stack.push(block[1]);
+            } else if(line === "}"){
+                if(stack.join(".") === path.join(".")) return i;
+                stack.pop();
+            }
         }
+
+        return lines.length;
     }
-}
 
-class OSDirectory {
-    constructor(name, parent = null) {
-        this.name = name;
-        this.parent = parent;
-        this.children = new Map(); // name -> OSFile or OSDirectory
+    static clear(){
+        if(!this.enabled) return;
+        this.adapter.removeItem(this.storageKey);
+        DiagnosticService.record("PersistenceService_clear");
     }
 
-    fullPath() {
-        let path = [];
-        let node = this;
+    /**
+     * 
+     * @param {OSFile|OSDirectory} node 
+     * @returns {object} plain JSON-safe representation of the node and its subtree
+     */
+    static serializeNode(node){
+        if(node instanceof OSFile){
+            return {
+                kind: "file",
+                name: node.name,
+                type: node.type,
+                content: node.read(false, false).slice(),
+                created: node.created,
+                modified: node.modified,
+                accessed: node.accessed,
+                owner: node.owner,
+                mode: node.mode,
+            };
+        }
 
-        while (node && node.parent) {
-            path.unshift(node.name);
-            node = node.parent;
+        if(node instanceof OSDirectory){
+            return {
+                kind: "directory",
+                name: node.name,
+                created: node.created,
+                modified: node.modified,
+                accessed: node.accessed,
+                owner: node.owner,
+                mode: node.mode,
+                children: node.list().map(child => this.serializeNode(child)),
+            };
         }
 
-        return "/" + path.join("/");
+        throw new OSError(`Cannot serialize unknown node: ${node}`);
     }
 
-    list(){
-        const entries = [];
+    /**
+     * 
+     * @param {object} data output of serializeNode
+     * @param {OSDirectory|null} parent 
+     * @returns {OSFile|OSDirectory}
+     */
+    static deserializeNode(data, parent){
+        let node;
+
+        if(data.kind === "file"){
+            if(!Array.isArray(data.content)) throw new OSError(`Invalid content for file "${data.name}.${data.type}" in snapshot`);
+            node = new OSFile(`${data.name}.${data.type}`, parent, data.content);
+        } else if(data.kind === "directory"){
+            node = new OSDirectory(data.name, parent);
+
+            for(const childData of data.children ?? []){
+                const child = this.deserializeNode(childData, node);
+                node.children.set(child.fullName(), child);
+            }
+        } else {
+            throw new OSError(`Unknown node kind in snapshot: "${data.kind}"`);
+        }
 
-        for (const [name, child] of this.children) {
-            entries.push(child);
+        // snapshots saved before timestamps and permissions existed keep the defaults
+        for(const key of ["created", "modified", "accessed", "mode"]){
+            if(typeof data[key] === "number") node[key] = data[key];
+        }
+
+        if(typeof data.owner === "string") node.owner = data.owner;
+
+        return node;
+    }
+}
+
+class EnvironmentService {
+    static enabled = false;
+    static os = null;
+    static variables = new Map();
+    static scopes = [];
+
+    static nameRegex = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+    /**
+     * Variables that are computed on every read and cannot be set or unset
+     */
+    static builtins = {
+        "PWD": () => FilesystemService.getCurrentPath(),
+        "?": () => String(CommandExecService.lastStatus),
+        "USER": () => FilesystemService.currentUser ?? "",
+        "HOME": () => UserService.getHome(FilesystemService.currentUser) ?? "/",
+    };
+
+    static init(os) {
+        if(this.os) return;
+        this.os = os;
+        this.variables = new Map();
+        this.enabled = true;
+        DiagnosticService.record("EnvironmentService_init");
+    }
+
+    static enable(){
+        this.enabled = true;
+        DiagnosticService.record("EnvironmentService_enable");
+    }
+
+    static disable(){
+        this.enabled = false;
+        DiagnosticService.record("EnvironmentService_disable");
+    }
+
+    static isBuiltin(name){
+        return Object.hasOwn(this.builtins, name);
+    }
+
+    /**
+     * Script parameters: $0 is the script path, $1..$n its arguments, $# their count and $@ all of them
+     */
+    static isParameter(name){
+        return /^(\d+|#|@)$/.test(name);
+    }
+
+    /**
+     * Makes args available as positional parameters until popScope is called
+     * @param {string[]} args the script path followed by its arguments
+     */
+    static pushScope(args){
+        if(!this.enabled) return;
+        this.scopes.push(args);
+    }
+
+    static popScope(){
+        if(!this.enabled) return;
+        this.scopes.pop();
+    }
+
+    /**
+     * 
+     * @param {string} name 
+     * @returns {string|undefined}
+     */
+    static get(name){
+        if(!this.enabled) return undefined;
+        if(this.isBuiltin(name)) return this.builtins[name]();
+
+        if(this.isParameter(name)){
+            const scope = this.scopes.at(-1) ?? [];
+
+            if(name === "#") return String(Math.max(0, scope.length - 1));
+            if(name === "@") return scope.slice(1).join(" ");
+            return scope[Number(name)] ?? "";
+        }
+
+        return this.variables.get(name);
+    }
+
+    static set(name, value){
+        if(!this.enabled) throw new OSError("EnvironmentService is disabled");
+        if(!this.nameRegex.test(name)) throw new OSError(`Invalid variable name: "${name}". Names must start with a letter or underscore and contain only alphanumeric characters and underscores.`);
+        if(this.isBuiltin(name)) throw new OSError(`Cannot set built-in variable "${name}"`);
+
+        DiagnosticService.record(`EnvironmentService_set ${name}`);
+        this.variables.set(name, String(value));
+    }
+
+    static unset(name){
+        if(!this.enabled) throw new OSError("EnvironmentService is disabled");
+        if(this.isBuiltin(name)) throw new OSError(`Cannot unset built-in variable "${name}"`);
+        if(!this.variables.has(name)) throw new OSError(`Variable "${name}" is not set`);
+
+        DiagnosticService.record(`EnvironmentService_unset ${name}`);
+        this.variables.delete(name);
+    }
+
+    /**
+     * 
+     * @returns {Object<string, string>} all variables, built-ins included
+     */
+    static getAll(){
+        if(!this.enabled) throw new OSError("EnvironmentService is disabled");
+
+        const all = {};
+
+        for(const name of Object.keys(this.builtins)) all[name] = this.get(name);
+        if(this.scopes.length > 0) for(const name of ["#", "@"]) all[name] = this.get(name);
+        for(const [name, value] of this.variables) all[name] = value;
+
+        return all;
+    }
+
+    /**
+     * Reads a variable reference starting at input[start] (the character after "$")
+     * @param {string} input 
+     * @param {number} start 
+     * @returns {{name: string, end: number}|null} the variable name and the index of its last character, or null if there is no reference
+     */
+    static readReference(input, start){
+        const ch = input[start];
+
+        if(ch === "{"){
+            const close = input.indexOf("}", start);
+            if(close === -1) throw new OSError(`Unterminated variable reference: "${input.slice(start - 1)}"`);
+
+            const name = input.slice(start + 1, close);
+            if(!this.nameRegex.test(name) && !this.isBuiltin(name) && !this.isParameter(name)) throw new OSError(`Invalid variable reference: "\${${name}}"`);
+
+            return { name, end: close };
+        }
+
+        if(ch !== undefined && (this.isBuiltin(ch) || this.isParameter(ch))) return { name: ch, end: start };
+
+        const match = input.slice(start).match(/^[a-zA-Z_][a-zA-Z0-9_]*/);
+        if(!match) return null;
+
+        return { name: match[0], end: start + match[0].length - 1 };
+    }
+}
+
+class HistoryService {
+    static enabled = false;
+    static os = null;
+
+    static maxEntries = 500;
+
+    static init(os) {
+        if(this.os) return;
+        this.os = os;
+        this.enabled = true;
+        DiagnosticService.record("HistoryService_init");
+    }
+
+    static enable(){
+        this.enabled = true;
+        DiagnosticService.record("HistoryService_enable");
+    }
+
+    static disable(){
+        this.enabled = false;
+        DiagnosticService.record("HistoryService_disable");
+    }
+
+    /**
+     * The history file, created if it does not exist yet
+     * @returns {OSFile}
+     */
+    static getFile(){
+        const path = ConfigService.get("history_path", false);
+        const existing = FilesystemService.resolvePath(path, "none", false);
+
+        if(existing instanceof OSFile) return existing;
+        if(existing) throw new OSError(`History path "${path}" is not a file`);
+
+        const parts = path.split("/");
+        const identifier = parts.pop();
+
+        const file = FilesystemService.createFile(identifier, parts.join("/") || "/", []);
+        if(!file) throw new OSError(`Cannot create history file at "${path}"`);
+
+        return file;
+    }
+
+    /**
+     * 
+     * @returns {string[]} recorded lines, oldest first
+     */
+    static getEntries(){
+        if(!this.enabled) return [];
+        return this.getFile().read();
+    }
+
+    static record(line){
+        if(!this.enabled) return;
+        if(line.trim() === "") return;
+
+        const file = this.getFile();
+        const entries = file.read();
+
+        if(entries.length >= this.maxEntries){
+            file.write([...entries.slice(entries.length - this.maxEntries + 1), line]);
+        } else {
+            file.append(line);
+        }
+    }
+
+    static clear(){
+        if(!this.enabled) return;
+        DiagnosticService.record("HistoryService_clear");
+        this.getFile().write([]);
+    }
+
+    /**
+     * Replaces history references outside of single quotes and glob brackets: "!!" is the last line, "!n" is line n and "!-n" is the nth last line
+     * @param {string} line 
+     * @returns {string}
+     */
+    static expand(line){
+        if(!this.enabled) return line;
+        if(!line.includes("!")) return line;
+
+        const entries = this.getEntries();
+
+        let out = "";
+        let inSingle = false;
+        // like bash, "[!0-9]*" is a glob, not event 0
+        let inBracket = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+
+            if (ch === "\\") {
+                out += ch + (line[i + 1] ?? "");
+                i++;
+                continue;
+            }
+
+            if (ch === "'") inSingle = !inSingle;
+
+            if (!inSingle && ch === "[" && line.indexOf("]", i + 1) !== -1) inBracket = true;
+            else if (ch === "]") inBracket = false;
+
+            if (ch !== "!" || inSingle || inBracket) {
+                out += ch;
+                continue;
+            }
+
+            const reference = line.slice(i + 1).match(/^(!|-?\d+)/);
+
+            if (!reference) {
+                out += ch;
+                continue;
+            }
+
+            let index;
+
+            if (reference[1] === "!") index = entries.length - 1;
+            else if (reference[1].startsWith("-")) index = entries.length + Number(reference[1]);
+            else index = Number(reference[1]) - 1;
+
+            if (entries[index] === undefined) throw new OSError(`!${reference[1]}: event not found`);
+
+            DiagnosticService.record(`HistoryService_expand !${reference[1]}`);
+            out += entries[index];
+            i += reference[1].length;
+        }
+
+        return out;
+    }
+}
+
+class CompletionService {
+    static enabled = false;
+    static os = null;
+
+    static init(os) {
+        if(this.os) return;
+        this.os = os;
+        this.enabled = true;
+        DiagnosticService.record("CompletionService_init");
+    }
+
+    static enable(){
+        this.enabled = true;
+        DiagnosticService.record("CompletionService_enable");
+    }
+
+    static disable(){
+        this.enabled = false;
+        DiagnosticService.record("CompletionService_disable");
+    }
+
+    /**
+     * Completes the last word of a command line
+     * @param {string} input the text typed so far
+     * @returns {{replacement: string, candidates: string[]}} the new command line text and, when the completion is ambiguous, every possible completion
+     */
+    static complete(input){
+        if(!this.enabled) return { replacement: input, candidates: [] };
+
+        // only the pipeline segment being typed matters
+        let segmentStart = 0;
+        let redirecting = false;
+        let inSingle = false;
+        let inDouble = false;
+
+        for (let i = 0; i < input.length; i++) {
+            const ch = input[i];
+            if (ch === "'" && !inDouble) inSingle = !inSingle;
+            else if (ch === '"' && !inSingle) inDouble = !inDouble;
+            else if ((ch === "|" || ch === ">" || ch === ";" || ch === "&") && !inSingle && !inDouble) {
+                segmentStart = i + 1;
+                redirecting = ch === ">";
+            }
+        }
+
+        const segment = input.slice(segmentStart);
+        const tokens = segment.trimStart().split(/\s+/);
+        const word = tokens.pop();
+        const base = input.slice(0, input.length - word.length);
+
+        let options;
+
+        if (redirecting) {
+            options = this.pathCandidates(word);
+        } else if (tokens.length === 0) {
+            options = this.commandCandidates(word);
+        } else {
+            const entry = this.getEntry(tokens[0]);
+            if (!entry) return { replacement: input, candidates: [] };
+
+            const schema = entry.body.schema || [];
+
+            if (word.startsWith("-")) {
+                options = this.flagCandidates(schema, word);
+            } else {
+                const positionalIndex = tokens.slice(1).filter(t => !t.startsWith("-")).length;
+                const param = schema.filter(s => s.type === "positional")[positionalIndex];
+
+                if (param?.options) options = param.options.filter(o => o.startsWith(word)).map(o => o + " ");
+                else options = this.pathCandidates(word);
+            }
+        }
+
+        DiagnosticService.record(`CompletionService_complete ${options.length}`);
+
+        if (options.length === 0) return { replacement: input, candidates: [] };
+        if (options.length === 1) return { replacement: base + options[0], candidates: [] };
+
+        let common = options[0];
+        for (const option of options) {
+            while (!option.startsWith(common)) common = common.slice(0, -1);
+        }
+
+        return {
+            replacement: base + common.trimEnd(),
+            candidates: options.map(o => o.trimEnd().split("/").filter(p => p).pop() + (o.endsWith("/") ? "/" : "")),
+        };
+    }
+
+    static getEntry(name){
+        const registered = Array.from(CommandService.registeredCommands).map(x => Array.from(x)).flat();
+        if (!registered.includes(name)) return null;
+        return CommandService.commands.get(name) ?? null;
+    }
+
+    static commandCandidates(word){
+        return Array.from(CommandService.registeredCommands)
+            .map(x => Array.from(x))
+            .flat()
+            .filter(name => name.startsWith(word))
+            .filter(name => !CommandService.commands.get(name)?.body.options?.hidden)
+            .sort((a, b) => a.localeCompare(b))
+            .map(name => name + " ");
+    }
+
+    static flagCandidates(schema, word){
+        const candidates = [];
+
+        for (const param of schema) {
+            if (param.type !== "flag" && param.type !== "option") continue;
+
+            // flags that take a value are completed up to the "="
+            const suffix = param.datatype === "boolean" ? " " : "=";
+
+            if (word.startsWith("--")) {
+                if (`--${param.name}`.startsWith(word)) candidates.push(`--${param.name}${suffix}`);
+            } else if (param.short && `-${param.short}`.startsWith(word)) {
+                candidates.push(`-${param.short}${suffix}`);
+            } else if (word === "-") {
+                candidates.push(`--${param.name}${suffix}`);
+            }
+        }
+
+        return candidates;
+    }
+
+    static pathCandidates(word){
+        const slash = word.lastIndexOf("/");
+        const directoryPart = word.slice(0, slash + 1);
+        const prefix = word.slice(slash + 1);
+
+        let directory;
+
+        try {
+            directory = FilesystemService.resolvePath(directoryPart || ".", "directory", false);
+        } catch (e) {
+            if (e instanceof OSError) return [];
+            throw e;
+        }
+
+        if (!(directory instanceof OSDirectory)) return [];
+
+        const candidates = [];
+
+        for (const child of directory.list()) {
+            if (child instanceof OSDirectory) {
+                if (child.name.startsWith(prefix)) candidates.push(`${directoryPart}${child.name}/`);
+            } else if (child.fullName().startsWith(prefix)) {
+                candidates.push(`${directoryPart}${child.fullName()} `);
+            }
+        }
+
+        return candidates.sort((a, b) => a.localeCompare(b));
+    }
+}
+
+class UserService {
+    static enabled = false;
+    static os = null;
+
+    static passwdPath = "/etc/passwd.txt";
+    static homePath = "/home";
+
+    /**
+     * Logged in users, oldest first. su adds to the end and logout removes from it
+     */
+    static sessions = [];
+
+    /**
+     * Set by the first login. From then on running without a session no longer means running as root
+     */
+    static hasLoggedIn = false;
+
+    static init(os) {
+        if(this.os) return;
+        this.os = os;
+        this.enabled = true;
+        DiagnosticService.record("UserService_init");
+    }
+
+    static enable(){
+        this.enabled = true;
+        DiagnosticService.record("UserService_enable");
+    }
+
+    static disable(){
+        this.enabled = false;
+        DiagnosticService.record("UserService_disable");
+    }
+
+    /**
+     * The user commands run as, or null before anyone has logged in
+     * @returns {string|null}
+     */
+    static get current(){
+        return this.sessions.at(-1) ?? null;
+    }
+
+    /**
+     * Accounts are stored one per line in the passwd file as name:salt:hash:home. An empty hash means no password
+     * @returns {{name: string, salt: string, hash: string, home: string}[]}
+     */
+    static getAccounts(){
+        const file = FilesystemService.resolvePath(this.passwdPath, "none", false);
+        if(!(file instanceof OSFile)) return [];
+
+        return file.read(false, false)
+            .filter(line => line.trim() !== "" && !line.startsWith("#"))
+            .map(line => {
+                const [name, salt = "", hash = "", home = `${this.homePath}/${name}`] = line.split(":");
+                return { name, salt, hash, home };
+            });
+    }
+
+    static getAccount(name){
+        return this.getAccounts().find(account => account.name === name) ?? null;
+    }
+
+    static getHome(name){
+        return this.getAccount(name)?.home ?? null;
+    }
+
+    /**
+     * Whether the command line should ask for a login. Without a passwd file everything runs as root
+     * @returns {boolean}
+     */
+    static loginRequired(){
+        return this.enabled && this.current === null && this.getAccounts().length > 0;
+    }
+
+    /**
+     * 
+     * @param {string} salt 
+     * @param {string} password 
+     * @returns {Promise<string>} hex encoded SHA-256 of the salted password
+     */
+    static async hash(salt, password){
+        const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(salt + password));
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, "0")).join("");
+    }
+
+    static async verify(name, password){
+        const account = this.getAccount(name);
+        if(!account) return false;
+        if(account.hash === "") return password === "";
+
+        return await this.hash(account.salt, password) === account.hash;
+    }
+
+    /**
+     * Ends every session and starts a new one
+     * @param {string} name 
+     * @param {string} password 
+     */
+    static async login(name, password){
+        if(!this.enabled) throw new OSError("UserService is disabled");
+        if(!await this.verify(name, password)) throw new OSError("Login incorrect");
+
+        this.sessions = [name];
+        this.hasLoggedIn = true;
+        DiagnosticService.record(`UserService_login ${name}`);
+        this.enterSession();
+    }
+
+    /**
+     * Starts a session on top of the current one, which logout returns to. Root does not need a password
+     * @param {string} name 
+     * @param {string} password 
+     */
+    static async switchUser(name, password = ""){
+        if(!this.enabled) throw new OSError("UserService is disabled");
+        if(!this.getAccount(name)) throw new OSError(`Unknown user: "${name}"`);
+
+        if(FilesystemService.currentUser !== "root"){
+            if(this.rootPasswordRequired(name)) throw new OSError("root has no password yet. Log in as root to set one");
+            if(!await this.verify(name, password)) throw new OSError("Authentication failure");
+        }
+
+        this.sessions.push(name);
+        this.hasLoggedIn = true;
+        DiagnosticService.record(`UserService_switchUser ${name}`);
+        this.enterSession();
+    }
+
+    /**
+     * Ends the current session, going back to the one before it
+     * @returns {string} the user that was logged out
+     */
+    static logout(){
+        if(!this.enabled) throw new OSError("UserService is disabled");
+        if(this.current === null) throw new OSError("Not logged in");
+
+        const name = this.sessions.pop();
+        DiagnosticService.record(`UserService_logout ${name}`);
+        this.enterSession();
+
+        return name;
+    }
+
+    /**
+     * Ends every session, so the command line asks for a login again
+     */
+    static endSessions(){
+        if(!this.enabled) throw new OSError("UserService is disabled");
+
+        this.sessions = [];
+        this.hasLoggedIn = true;
+        DiagnosticService.record("UserService_endSessions");
+        this.enterSession();
+    }
+
+    /**
+     * Moves to the current user's home directory and loads their configuration
+     */
+    static enterSession(){
+        const home = FilesystemService.resolvePath("~", "none", false);
+        FilesystemService.setWorkingDirectory(home instanceof OSDirectory ? home.fullPath() : "/");
+
+        if(ConfigService.initialized()) ConfigService.reload();
+    }
+
+    /**
+     * Changes the password of an account. Users can change their own, root can change anyone's
+     * @param {string} name 
+     * @param {string} password an empty password lets the user log in without one
+     */
+    static async setPassword(name, password){
+        if(!this.enabled) throw new OSError("UserService is disabled");
+        if(!this.getAccount(name)) throw new OSError(`Unknown user: "${name}"`);
+
+        const user = FilesystemService.currentUser;
+        if(user !== "root" && user !== name) throw new OSError(`Permission denied: cannot change the password of "${name}"`);
+        if(name === "root" && password === "") throw new OSError("root's password cannot be empty");
+
+        const file = FilesystemService.resolvePath(this.passwdPath, "none", false);
+        if(!(file instanceof OSFile)) throw new OSError(`Account file not found at ${this.passwdPath}`);
+
+        const salt = password === "" ? "" : this.createSalt();
+        const hash = password === "" ? "" : await this.hash(salt, password);
+
+        const lines = file.read(false, false).map(line => {
+            const [account, , , home] = line.split(":");
+            return account === name ? `${name}:${salt}:${hash}:${home ?? `${this.homePath}/${name}`}` : line;
+        });
+
+        // the account file belongs to root, users changing their own password get past its mode like a setuid passwd would
+        file.write(lines, false);
+
+        DiagnosticService.record(`UserService_setPassword ${name}`);
+    }
+
+    /**
+     * 
+     * @param {string} name 
+     * @returns {boolean} whether name is root and root still has no password, which its first login has to set
+     */
+    static rootPasswordRequired(name = this.current){
+        return name === "root" && this.getAccount("root")?.hash === "";
+    }
+
+    /**
+     * 
+     * @returns {string|null} a reminder to set a password if the current user has none
+     */
+    static passwordWarning(){
+        if(this.getAccount(this.current)?.hash !== "") return null;
+        return `${this.current} has no password, anyone can log in or su to it. Set one with passwd`;
+    }
+
+    static createSalt(){
+        return Array.from(crypto.getRandomValues(new Uint8Array(8)), b => b.toString(16).padStart(2, "0")).join("");
+    }
+
+    /**
+     * Adds an account with a home directory and a copy of the system configuration
+     * @param {string} name 
+     * @param {string} password an empty password lets the user log in without one
+     */
+    static async addUser(name, password = ""){
+        if(!this.enabled) throw new OSError("UserService is disabled");
+        if(!FilesystemService.validationRegex.test(name)) throw new OSError(`Invalid user name: "${name}"`);
+        if(this.getAccount(name)) throw new OSError(`User "${name}" already exists`);
+
+        const file = FilesystemService.resolvePath(this.passwdPath, "none", false);
+        if(!(file instanceof OSFile)) throw new OSError(`Account file not found at ${this.passwdPath}`);
+
+        FilesystemService.checkPermission(file, "w", "add accounts to");
+
+        const salt = password === "" ? "" : this.createSalt();
+        const hash = password === "" ? "" : await this.hash(salt, password);
+        const home = `${this.homePath}/${name}`;
+
+        if(!FilesystemService.resolvePath(home, "none", false)){
+            if(!FilesystemService.createDirectory(name, this.homePath)) throw new OSError(`Directory not found: "${this.homePath}"`);
+            FilesystemService.copy("/config/user.conf", `${home}/user.conf`);
+            FilesystemService.changePermissions(`${home}/user.conf`, { mode: "64" });
+            FilesystemService.changePermissions(home, { owner: name }, true);
+        }
+
+        file.append([`${name}:${salt}:${hash}:${home}`]);
+        DiagnosticService.record(`UserService_addUser ${name}`);
+    }
+}
+
+/**
+ * Talks to the browser for HostService: a file input to pick files and a temporary link to download them.
+ * Anything with the same methods can be passed to the OS instead, e.g. to run without a browser.
+ */
+class BrowserHostAdapter {
+    // how long to wait for a pick at all, for browsers that never tell us the dialog was closed
+    static pickTimeout = 5 * 60 * 1000;
+
+    /**
+     * Asks the user for a file. Images are returned as pixels, everything else as text
+     * @param {AbortSignal} signal closes the wait and rejects with an AbortError when aborted
+     * @returns {Promise<{name: string, text?: string, image?: {width: number, height: number, data: Uint8ClampedArray}}|null>} null if nothing was picked
+     */
+    pickFile(signal = null){
+        return new Promise((resolve, reject) => {
+            if(signal?.aborted) return reject(new DOMException("Aborted", "AbortError"));
+
+            const input = document.createElement("input");
+            input.type = "file";
+
+            let focusTimer = null;
+
+            const cleanup = () => {
+                clearTimeout(timeout);
+                clearTimeout(focusTimer);
+                window.removeEventListener("focus", onFocus);
+                signal?.removeEventListener("abort", onAbort);
+            };
+
+            const settle = (fn, value) => {
+                cleanup();
+                fn(value);
+            };
+
+            const onAbort = () => settle(reject, new DOMException("Aborted", "AbortError"));
+
+            // older browsers don't fire "cancel", but the page gets its focus back once the dialog closes.
+            // "change" can arrive a moment after the focus, so give it time before calling it a cancel
+            const onFocus = () => {
+                clearTimeout(focusTimer);
+                focusTimer = setTimeout(() => {
+                    if(input.files.length === 0) settle(resolve, null);
+                }, 1000);
+            };
+
+            const timeout = setTimeout(() => settle(resolve, null), BrowserHostAdapter.pickTimeout);
+
+            signal?.addEventListener("abort", onAbort, { once: true });
+            window.addEventListener("focus", onFocus);
+
+            input.addEventListener("cancel", () => settle(resolve, null));
+            input.addEventListener("change", async () => {
+                cleanup();
+
+                const file = input.files[0];
+                if(!file) return resolve(null);
+
+                try {
+                    if(!file.type.startsWith("image/")) return resolve({ name: file.name, text: await file.text() });
+
+                    const bitmap = await createImageBitmap(file);
+                    const canvas = document.createElement("canvas");
+                    canvas.width = bitmap.width;
+                    canvas.height = bitmap.height;
+
+                    const ctx = canvas.getContext("2d");
+                    ctx.drawImage(bitmap, 0, 0);
+
+                    resolve({ name: file.name, image: ctx.getImageData(0, 0, bitmap.width, bitmap.height) });
+                } catch (e) {
+                    reject(e);
+                }
+            });
+
+            input.click();
+        });
+    }
+
+    saveText(name, text){
+        this.download(name, new Blob([text], { type: "text/plain" }));
+    }
+
+    async saveImage(name, image){
+        const canvas = document.createElement("canvas");
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext("2d").putImageData(new ImageData(image.data, image.width, image.height), 0, 0);
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, "image/png"));
+        this.download(name, blob);
+    }
+
+    download(name, blob){
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = name;
+        link.click();
+        // the download starts after click() returns, so the url has to outlive it
+        setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+    }
+}
+
+class HostService {
+    static enabled = false;
+    static os = null;
+    static adapter = null;
+
+    /**
+     * 
+     * @param {OS} os 
+     * @param {{pickFile: Function, saveText: Function, saveImage: Function}} adapter defaults to BrowserHostAdapter
+     */
+    static init(os, adapter) {
+        if(this.os) return;
+        this.os = os;
+        this.adapter = adapter ?? new BrowserHostAdapter();
+        this.enabled = true;
+        DiagnosticService.record("HostService_init");
+    }
+
+    static enable(){
+        this.enabled = true;
+        DiagnosticService.record("HostService_enable");
+    }
+
+    static disable(){
+        this.enabled = false;
+        DiagnosticService.record("HostService_disable");
+    }
+
+    /**
+     * Turns a host file name into a valid "name.type" identifier
+     * @param {string} hostName 
+     * @param {string} type used if the host name has no usable type
+     * @returns {string}
+     */
+    static toIdentifier(hostName, type){
+        const separator = hostName.lastIndexOf(".");
+        const base = separator > 0 ? hostName.slice(0, separator) : hostName;
+        const hostType = separator > 0 ? hostName.slice(separator + 1).toLowerCase() : "";
+
+        const clean = (text) => text.replace(/[^a-zA-Z0-9_-]/g, "_");
+
+        return `${clean(base) || "imported"}.${type ?? (clean(hostType) || "txt")}`;
+    }
+
+    /**
+     * Asks the host for a file and stores it. Images become img files, anything else is stored as text lines
+     * @param {string} destPath a directory to import into, or a new file path
+     * @param {boolean} force replace a file that already exists
+     * @param {AbortSignal} signal stops waiting for the pick
+     * @returns {Promise<OSFile|null>} null if nothing was picked
+     */
+    static async importFile(destPath = ".", force = false, signal = null){
+        if(!this.enabled) throw new OSError("HostService is disabled");
+
+        // check the destination before bothering the user with a file picker
+        const target = FilesystemService.resolvePath(destPath, "none");
+        if(target instanceof OSFile && !force) throw new OSError(`"${target.fullPath()}" already exists. Use --force to overwrite it.`);
+
+        const picked = await this.adapter.pickFile(signal);
+        if(!picked) return null;
+
+        let content;
+        let identifier;
+
+        if(picked.image){
+            content = ImageReader.fromPixels(picked.image).toFile();
+            identifier = this.toIdentifier(picked.name, "img");
+        } else {
+            content = String(picked.text ?? "").split(/\r?\n/);
+            identifier = this.toIdentifier(picked.name);
+        }
+
+        const path = target instanceof OSDirectory ? `${target.fullPath().replace(/\/$/, "")}/${identifier}` : destPath;
+
+        const existing = FilesystemService.resolvePath(path, "none");
+        if(existing instanceof OSFile && !force) throw new OSError(`"${existing.fullPath()}" already exists. Use --force to overwrite it.`);
+
+        const file = FilesystemService.writeFile(path, content);
+        DiagnosticService.record(`HostService_importFile ${picked.name} -> ${file.fullPath()}`);
+
+        return file;
+    }
+
+    /**
+     * Hands a file to the host, as text or as a png for images
+     * @param {string} path 
+     * @param {"text"|"png"} format 
+     * @returns {Promise<string>} the name the host saved it as
+     */
+    static async exportFile(path, format = "text"){
+        if(!this.enabled) throw new OSError("HostService is disabled");
+
+        const file = FilesystemService.resolvePath(path, "full");
+        if(!(file instanceof OSFile)) throw new OSError(`file "${path}" could not be found`);
+
+        if(format === "png"){
+            const name = `${file.name}.png`;
+            await this.adapter.saveImage(name, ImageReader.toPixels(ImageReader.readBitmap(file)));
+            DiagnosticService.record(`HostService_exportFile ${file.fullPath()} as png`);
+            return name;
+        }
+
+        if(format !== "text") throw new OSError(`Unknown export format: "${format}"`);
+
+        const name = file.fullName();
+        await this.adapter.saveText(name, file.read(true));
+        DiagnosticService.record(`HostService_exportFile ${file.fullPath()}`);
+        return name;
+    }
+}
+
+class AliasService {
+    static enabled = false;
+    static os = null;
+
+    // name = "command" lines, read with SwagObjectParser
+    static path = "~/aliases.conf";
+    static nameRegex = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+    static init(os) {
+        if(this.os) return;
+        this.os = os;
+        this.enabled = true;
+        DiagnosticService.record("AliasService_init");
+    }
+
+    static enable(){
+        this.enabled = true;
+        DiagnosticService.record("AliasService_enable");
+    }
+
+    static disable(){
+        this.enabled = false;
+        DiagnosticService.record("AliasService_disable");
+    }
+
+    /**
+     * 
+     * @returns {Object<string, string>} the current user's aliases
+     */
+    static getAll(){
+        const file = FilesystemService.resolvePath(this.path, "none", false);
+        if(!(file instanceof OSFile)) return {};
+
+        // runs for every command line, which is not the user opening the file
+        try {
+            return new SwagObjectParser(file.read(false, false)).parse();
+        } catch (e) {
+            throw new OSError(`Invalid alias file "${file.fullPath()}": ${e.message}`);
+        }
+    }
+
+    static save(aliases){
+        FilesystemService.writeFile(this.path, Object.entries(aliases).map(([name, command]) => `${name} = "${command}"`));
+    }
+
+    /**
+     * 
+     * @param {string} name 
+     * @param {string} command what name expands to. $@ is replaced by the arguments it is given and $1, $2, ... by single ones. Without either, the arguments are added to the end
+     */
+    static set(name, command){
+        if(!this.enabled) throw new OSError("AliasService is disabled");
+
+        if(!this.nameRegex.test(name)) throw new OSError(`Invalid alias name: "${name}". Only letters, digits and underscores are allowed, and it cannot start with a digit`);
+        if(CommandService.getCommand(name)) throw new OSError(`"${name}" is already a command`);
+        if(command.trim() === "") throw new OSError(`Alias "${name}" needs a command`);
+        // the file stores values in double quotes and cuts lines at comments
+        if(command.includes("//")) throw new OSError(`Alias "${name}" cannot contain "//"`);
+
+        const aliases = this.getAll();
+        aliases[name] = command;
+
+        // throws for a = "b" when b = "a"
+        this.expandWith(name, aliases);
+
+        this.save(aliases);
+        DiagnosticService.record(`AliasService_set ${name}`);
+    }
+
+    static remove(name){
+        if(!this.enabled) throw new OSError("AliasService is disabled");
+
+        const aliases = this.getAll();
+        if(aliases[name] === undefined) throw new OSError(`Unknown alias: "${name}"`);
+
+        delete aliases[name];
+
+        this.save(aliases);
+        DiagnosticService.record(`AliasService_remove ${name}`);
+    }
+
+    /**
+     * Replaces aliases at the start of each command in line. Commands win over aliases of the same name
+     * @param {string} line 
+     * @returns {string}
+     */
+    static expand(line){
+        if(!this.enabled) return line;
+
+        let aliases;
+
+        try {
+            aliases = this.getAll();
+        } catch (e) {
+            // a broken alias file must never keep "unalias" or "editfile" from running
+            if(!(e instanceof OSError)) throw e;
+            DiagnosticService.record("AliasService_expand alias_file_unavailable");
+            return line;
+        }
+
+        if(Object.keys(aliases).length === 0) return line;
+
+        return this.expandWith(line, aliases);
+    }
+
+    /**
+     * 
+     * @param {string} line 
+     * @param {Object<string, string>} aliases 
+     * @param {string[]} seen the aliases being expanded, to catch ones that lead back to themselves
+     * @returns {string}
+     */
+    static expandWith(line, aliases, seen = []){
+        let out = "";
+        let current = "";
+        let inSingle = false;
+        let inDouble = false;
+
+        const flush = () => {
+            out += this.expandCommand(current, aliases, seen);
+            current = "";
+        };
+
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+
+            if (ch === "\\") {
+                current += ch + (line[i + 1] ?? "");
+                i++;
+                continue;
+            }
+
+            if (ch === "'" && !inDouble) inSingle = !inSingle;
+            if (ch === '"' && !inSingle) inDouble = !inDouble;
+
+            if (!inSingle && !inDouble) {
+                const pair = line.slice(i, i + 2);
+
+                if (pair === "&&" || pair === "||") {
+                    flush();
+                    out += pair;
+                    i++;
+                    continue;
+                }
+
+                if (ch === "|" || ch === ";") {
+                    flush();
+                    out += ch;
+                    continue;
+                }
+            }
+
+            current += ch;
+        }
+
+        flush();
+
+        return out;
+    }
+
+    /**
+     * Expands the alias a single command starts with, if it starts with one
+     * @param {string} command 
+     * @param {Object<string, string>} aliases 
+     * @param {string[]} seen 
+     * @returns {string}
+     */
+    static expandCommand(command, aliases, seen){
+        const match = command.match(/^(\s*)(\S+)(.*)$/s);
+        if(!match) return command;
+
+        const [, leading, name, rest] = match;
+
+        if(!Object.hasOwn(aliases, name) || CommandService.getCommand(name)) return command;
+        if(seen.includes(name)) throw new OSError(`Recursive alias: ${[...seen, name].join(" -> ")}`);
+
+        // a redirection stays at the end, after the arguments
+        const { command: argText, redirect } = this.os.parseRedirection(rest);
+        const args = this.splitArguments(argText);
+
+        let expanded = aliases[name];
+
+        if(/\$(@|[1-9])/.test(expanded)){
+            expanded = expanded.replace(/\$(@|[1-9])/g, (_, parameter) => parameter === "@" ? args.join(" ") : args[Number(parameter) - 1] ?? "");
+        } else if(args.length > 0){
+            expanded += ` ${args.join(" ")}`;
+        }
+
+        if(redirect) expanded += ` ${redirect.append ? ">>" : ">"} ${redirect.raw}`;
+
+        return leading + this.expandWith(expanded, aliases, [...seen, name]);
+    }
+
+    /**
+     * Splits text at spaces outside of quotes, keeping the quotes
+     * @param {string} text 
+     * @returns {string[]}
+     */
+    static splitArguments(text){
+        const args = [];
+        let current = "";
+        let inSingle = false;
+        let inDouble = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+
+            if (ch === "\\") {
+                current += ch + (text[i + 1] ?? "");
+                i++;
+                continue;
+            }
+
+            if (ch === "'" && !inDouble) inSingle = !inSingle;
+            if (ch === '"' && !inSingle) inDouble = !inDouble;
+
+            if (ch === " " && !inSingle && !inDouble) {
+                if (current.length > 0) args.push(current);
+                current = "";
+                continue;
+            }
+
+            current += ch;
+        }
+
+        if (current.length > 0) args.push(current);
+
+        return args;
+    }
+}
+
+class SaviorService {
+    static os = null;
+    static enabled = false;
+    static #notified = false;
+
+    static watch(service){
+        setInterval(() => {
+            if(!this.enabled) return;
+            if(service.enabled == false){
+                this.os.savior(`Enabled ${service.name}`);
+                DiagnosticService.record(`SaviorService_save ${service.name}`);
+                OutputService.clear();
+                service.enable();
+                this.os.commandLine();
+            }
+        }, 5000);
+    }
+    static init(os) {
+        if(this.os) return;
+        this.os = os;
+        this.enabled = true;
+        DiagnosticService.record("SaviorService_init");
+
+        ServiceManager.services.forEach(service => {
+            if(service.critical){
+                SaviorService.watch(service);
+            }
+        });
+    }
+
+    static enable(){
+        if(this.enabled) return;
+        this.enabled = true;
+        DiagnosticService.record("SaviorService_enable");
+    }
+
+    static disable(){
+        if(!this.enabled) return;
+        this.enabled = false;
+        DiagnosticService.record("SaviorService_disable");
+    }
+
+    /**
+     * Notifies the savior service that the command line is supposed to be unavailable so it will not take steps to restore it
+     * @returns 
+     */
+    static notify(){
+        if(!this.enabled) return;
+        if(this.#notified) return;
+        this.#notified = true;
+        DiagnosticService.record("SaviorService_notify");
+    }
+
+    /**
+     * Unnotifies the savior service that the command line is supposed to be unavailable. Should be called when the command line is available again after being unavailable for some reason.
+     * @returns 
+     */
+    static unnotify(){
+        if(!this.enabled) return;
+        if(this.#notified == false) return;
+        this.#notified = false;
+        DiagnosticService.record("SaviorService_unnotify");
+    }
+
+    static notified(){
+        if(!this.enabled) return false;
+        return this.#notified;
+    }
+}
+
+class OutputService {
+    static buffer = [];
+    static os = null;
+    static enabled = false;
+
+    static enable(){
+        this.enabled = true;
+        DiagnosticService.record("OutputService_enable");
+    }
+
+    static disable(){
+        this.enabled = false;
+        DiagnosticService.record("OutputService_disable");
+    }
+
+    static init(os) {
+        if(this.os) return;
+        this.buffer = [];
+        this.os = os;
+        this.enabled = true;
+        DiagnosticService.record("OutputService_init");
+    }
+
+    static add(line) {
+        if(!this.enabled) return;
+        DiagnosticService.record("OutputService_add");
+        this.buffer.push(line);
+    }
+
+    static flush() {
+        if(!this.enabled) return;
+
+        let lineTypes = new Set();
+
+        for(const line of this.buffer){
+            lineTypes.add(line.type);
+
+            if(line.type === "line") this.os.line(line.content, line.loc);
+            else if(line.type === "error") this.os.error(line.content);
+            else if(line.type === "severe_error") this.os.severe(line.content);
+            else if(line.type === "savior") this.os.savior(line.content);
+            else if(line.type === "html") this.os.htmlLine(line.content, line.loc);
+            else if(line.type === "pixel_matrix") {
+                if(line.legacy) this.os.pixelMatrixLegacy(line.content, line.pixelSize);
+                else this.os.pixelMatrix(line.content, line.pixelSize);
+            } else {
+                console.error(`OutputService: Unknown line type: ${line.type}`, line);
+                throw new OSError(`OutputService: Unknown line type: ${line.type}`);
+            }
+        }
+        DiagnosticService.record(`OutputService_flush ${Array.from(lineTypes).join(",")}`);
+        this.buffer.length = 0;
+    }
+
+    static clear() {
+        if(!this.enabled) return;
+        DiagnosticService.record("OutputService_clear");
+        this.buffer.length = 0;
+    }
+
+    static isEmpty() {
+        if(!this.enabled) return true;
+        return this.buffer.length === 0;
+    }
+}
+
+class DiagnosticService {
+    static enabled = false;
+    static os = null;
+
+    static separator = "\x1F";
+
+    static diagnosticData = [];
+
+    static enable(path){
+        this.enabled = true;
+        this.logFile = path;
+        DiagnosticService.record("DiagnosticService_enable");
+    }
+
+    static disable(){
+        DiagnosticService.record("DiagnosticService_disable");
+        this.enabled = false;
+    }
+
+    static init(os) {
+        if(this.os) return;
+        this.os = os;
+        this.enabled = true;
+        DiagnosticService.record("DiagnosticService_init");
+    }
+
+    static record(message){
+        if(!this.enabled) return;
+
+        const stack = new Error().stack.split("\n").slice(2)
+        .map(line => 
+            line
+            .replace(/\(https?:\/\/.*?\)/, "")
+            .replace(/^\s*at\s*/, "")
+            .replace(/^\s*async\s*/, "")
+            .replace(/https?:\/\/.*?$/, "")
+            .replace("Object.fn", "CommandExecService.execute")
+            .replace(/Array\.forEach (\(<anonymous>\))?/, "")
+            .replace(/new Promise (\(<anonymous>\))?/, "")
+            .replace(/^OS\./, "OpSys.")
+            .replace(/^new OS/, "OpSys")
+            .replace("HTMLDivElement.<anonymous>", "DOM")
+            .replace("HTMLDocument.<anonymous>", "DOM")
+            .trim()
+        ).filter(line => line.length > 0).reverse();
+        // if last line is "new OS", remove it
+
+        const replacer = ServiceManager.services.map(s => [s.name, s.abbreviation]);
+
+        stack.forEach((line, index) => {
+            replacer.forEach(([full, abbr]) => {
+                line = line.replace(full, abbr);
+            });
+            stack[index] = line;
+        });
+
+        const msg = { 
+            type: "record",
+            data: {
+                message,
+                timestamp: Date.now(),
+                stack: stack,
+            }
+        }
+
+        this.diagnosticData.push(msg);
+    }
+
+    static note(message){
+        if(!this.enabled) return;
+
+        const note = {
+            type: "note",
+            data: {
+                message: message,
+            }
+        }
+
+        this.diagnosticData.push(note);
+    }
+
+    static getData(){
+        return this.diagnosticData;
+    }
+}
+
+class CommandExecService {
+    static queue = [];
+    static running = false;
+    static os = null;
+    static enabled = false;
+
+    static currentAbort = null;
+    static currentReject = null;
+
+    static delay = 50;
+
+    /**
+     * Exit status of the last chain that ran a visible command: 0 on success, 1 on error, 130 when interrupted
+     */
+    static lastStatus = 0;
+
+    static enable(){
+        this.enabled = true;
+        DiagnosticService.record("CommandExecService_enable");
+    }
+
+    static disable(){
+        this.enabled = false;
+        DiagnosticService.record("CommandExecService_disable");
+    }
+
+    static interrupt(err) {
+        if(!this.enabled) return;
+        if (!this.os) return;
+
+        DiagnosticService.record("CommandExecService_interrupt");
+        this.queue = [];
+        OutputService.buffer.length = 0;
+
+        if (this.currentAbort) {
+            this.currentAbort.abort();
+        }
+    }
+
+    /**
+     * Postpone command execution
+     * @returns 
+     */
+    static postpone(){
+        if(!this.enabled) return;
+        CommandExecService.queue.length = 0;
+        DiagnosticService.record("CommandExecService_postpone");
+        SaviorService.notify();
+    }
+
+    /**
+     * resume normal command execution after postponement
+     * @returns 
+     */
+    static continue(){
+        if(!this.enabled) return;
+        if (!this.os) throw new OSError("CommandExecService not initialized with OS instance");
+
+        DiagnosticService.record("CommandExecService_continue");
+        this.enqueue(this.os.parseCommand("obuffer"));
+        this.enqueue(this.os.parseCommand("commandline"));
+        this.runNext();
+        SaviorService.unnotify();
+    }
+
+    static init(os) {
+        if(this.os) return;
+        this.queue = [];
+        this.running = false;
+        this.os = os;
+        this.enabled = true;
+        DiagnosticService.record("CommandExecService_init");
+    }
+
+    static enqueue(chain) {
+        if(!this.enabled) return;
+        if(!this.os) throw new Error("CommandExecService not initialized with OS instance");
+        return new Promise((resolve, reject) => {
+            DiagnosticService.record("CommandExecService_enqueue "+chain.simplify());
+            this.queue.push({ chain, resolve, reject });
+        });
+    }
+
+    static instant(chain) {
+        if(!this.enabled) return;
+        if (!this.os) throw new OSError("CommandExecService not initialized with OS instance");
+        DiagnosticService.record("CommandExecService_instant "+chain.simplify());
+        
+        // push it to the front of the queue and run immediately
+        // this.queue.unshift({ chain, resolve, reject });
+        // this.runNext();
+    }
+
+    static setStatus(chain, status){
+        // hidden commands (obuffer, commandline, ...) run after every command and must not clobber $?
+        const internal = chain.parts.every(part => CommandService.commands.get(part.name)?.body.options?.hidden);
+        if(internal) return;
+        this.lastStatus = status;
+    }
+
+    /**
+     * Picks the chain to run after one that exited with the given status, skipping "&&" chains after a failure and "||" chains after a success
+     * @param {OSCommandChain} chain 
+     * @returns {OSCommandChain|null}
+     */
+    static nextLink(chain){
+        const status = this.lastStatus;
+        let next = chain.next;
+
+        while (next && ((next.operator === "&&" && status !== 0) || (next.operator === "||" && status === 0))) {
+            DiagnosticService.record("CommandExecService_skip " + next.simplify());
+            next = next.next;
+        }
+
+        return next;
+    }
+
+    /**
+     * Runs a single chain, reporting any error to the output buffer and setting the exit status
+     * @param {OSCommandChain} chain 
+     * @param {AbortSignal} signal 
+     * @returns {Promise<object[]|object|null>} the chain's result, or null if it failed
+     */
+    static async execute(chain, signal) {
+        try {
+            let result = await this.os.runChain(chain, signal);
+            if(CommandExecService.delay > 0){
+                await new Promise(r => setTimeout(r, CommandExecService.delay));
+            }
+            DiagnosticService.record("CommandExecService_runNext");
+            this.setStatus(chain, chain.failed ? 1 : 0);
+            return result;
+        } catch (e) {
+            if (e instanceof DOMException && e.name === "AbortError") {
+                this.setStatus(chain, 130);
+                OutputService.add({ type: "error", content: "Command execution interrupted." });
+                OutputService.flush();
+            } else if (e instanceof OSError) {
+                DiagnosticService.record("CommandExecService_error executing " + chain.simplify());
+                this.setStatus(chain, 1);
+
+                if(e.severity === 0) OutputService.add({ type: "error", content: e.message });
+                else if(e.severity === 1) OutputService.add({ type: "severe_error", content: e.message });
+            } else {
+                DiagnosticService.record("CommandExecService_unexpectedError " + chain.simplify());
+                this.setStatus(chain, 1);
+                OutputService.add({ type: "error", content: `An unexpected error occurred. Check console for details.` });
+                console.error(e)
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Runs a chain and every chain joined to it with ";", "&&" or "||"
+     * @param {OSCommandChain} chain 
+     * @param {AbortSignal} signal 
+     * @returns {Promise<object[]|object|null>} the result of the last chain that ran
+     */
+    static async executeSequence(chain, signal) {
+        let result = null;
+        let link = chain;
+
+        while (link) {
+            result = await this.execute(link, signal);
+            if (signal.aborted) break;
+            link = this.nextLink(link);
+        }
+
+        return result;
+    }
+
+    static async runNext() {
+        if(!this.enabled) return;
+        if (!this.os) throw new OSError("CommandExecService not initialized with OS instance");
+        if (this.running) return;
+        if (this.queue.length === 0) return;
+
+        this.running = true;
+
+        const { chain, resolve, reject } = this.queue.shift();
+
+        let controller = new AbortController();
+        this.currentAbort = controller;
+        this.currentReject = reject;
+
+        try {
+            resolve(await this.executeSequence(chain, controller.signal));
+        } finally {
+            try {
+                PersistenceService.flush();
+            } catch (e) {
+                if(e instanceof OSError) OutputService.add({ type: "severe_error", content: e.message });
+                else throw e;
+            }
+
+            this.currentAbort = null;
+            this.currentReject = null;
+            this.running = false;
+            // an interrupt empties the queue, including the command line that would have come after
+            if (controller.signal.aborted) this.continue();
+            else this.runNext();
+        }
+    }
+}
+
+class BackgroundTaskService {
+    static tasks = new Map();
+
+    static taskNumber = 0;
+
+    static init(os){
+        this.os = os;
+        this.enabled = true;
+        DiagnosticService.record("BackgroundTaskService_init");
+    }
+
+    enable(){
+        this.enabled = true;
+        DiagnosticService.record("BackgroundTaskService_enable");
+    }
+
+    disable(){
+        this.enabled = false;
+        DiagnosticService.record("BackgroundTaskService_disable");
+    }
+}
+
+class ServiceManager {
+    static services = [OutputService, CommandExecService, CommandService, DiagnosticService, SaviorService, FilesystemService, ConfigService, ColorService, BackgroundTaskService, PersistenceService, EnvironmentService, HistoryService, CompletionService, UserService, HostService, AliasService];
+}
+
+ServiceManager.services.forEach(service => {
+    switch(service){
+        case ConfigService: {
+            service.abbreviation = "Csrv";
+            service.shortName = "config";
+            service.critial = true;
+        } break;
+
+        case FilesystemService: {
+            service.abbreviation = "Fsrv";
+            service.shortName = "filesystem";
+            service.critical = true;
+        } break;
+
+        case SaviorService: {
+            service.abbreviation = "Ssrv";
+            service.shortName = "savior";
+            service.critical = true;
+        } break;
+
+        case OutputService: {
+            service.abbreviation = "Osrv";
+            service.shortName = "output";
+            service.critical = false;
+        } break;
+
+        case DiagnosticService: {
+            service.abbreviation = "Dsrv";
+            service.shortName = "diagnostic";
+            service.critical = false;
+        } break;
+
+        case CommandExecService: {
+            service.abbreviation = "Xsrv";
+            service.shortName = "commandexec";
+            service.critical = true;
+        } break;
+
+        case CommandService: {
+            service.abbreviation = "Esrv";
+            service.shortName = "command";
+            service.critical = true;
+        } break;
+
+        case ColorService: {
+            service.abbreviation = "Rsrv";
+            service.shortName = "color";
+            service.critical = false;
+        } break;
+
+        case BackgroundTaskService: {
+            service.abbreviation = "Bsrv";
+            service.shortName = "background";
+            service.critical = false;
+        } break;
+
+        case PersistenceService: {
+            service.abbreviation = "Psrv";
+            service.shortName = "persistence";
+            service.critical = false;
+        } break;
+
+        case EnvironmentService: {
+            service.abbreviation = "Vsrv";
+            service.shortName = "environment";
+            service.critical = false;
+        } break;
+
+        case HistoryService: {
+            service.abbreviation = "Hsrv";
+            service.shortName = "history";
+            service.critical = false;
+        } break;
+
+        case CompletionService: {
+            service.abbreviation = "Tsrv";
+            service.shortName = "completion";
+            service.critical = false;
+        } break;
+
+        case UserService: {
+            service.abbreviation = "Usrv";
+            service.shortName = "users";
+            service.critical = false;
+        } break;
+
+        case HostService: {
+            service.abbreviation = "Isrv";
+            service.shortName = "host";
+            service.critical = false;
+        } break;
+
+        case AliasService: {
+            service.abbreviation = "Asrv";
+            service.shortName = "alias";
+            service.critical = false;
+        } break;
+    }
+});
+
+class SwagObjectParser {
+    /**
+     * @param {string[]} input - Array of lines to parse
+     */
+    constructor(input) {
+        this.lines = input.map(line => line.trim()).filter(line => line.length > 0 && !line.startsWith('//'));
+        this.index = 0;
+    }
+
+    parse() {
+        // top-level behaves like a block, but has no closing brace
+        return this.parseBlock(true);
+    }
+
+    objectToString(obj, indent = 0) {
+        let str = "";
+        const indentStr = "    ".repeat(indent);
+        for (const [key, value] of Object.entries(obj)) {
+            if (typeof value === "object" && !Array.isArray(value)) {
+                str += `${indentStr}${key} = {\n`;
+                this.objectToString(value, indent + 1);
+                str += `${indentStr}}\n`;
+            } else {
+                str += `${indentStr}${key} = ${JSON.stringify(value)}\n`;
+            }
+        }
+    }
+
+    parseBlock(isTopLevel = false) {
+        const obj = {};
+
+        while (this.index < this.lines.length) {
+            const line = this._cleanLine(this.lines[this.index++]);
+            if (!line) continue;
+
+            if (line === "}") {
+                if (isTopLevel) {
+                    throw new SyntaxError("Unexpected '}' at top level");
+                }
+                return obj;
+            }
+
+            // nested object
+            const nested = line.match(
+                /^([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*\{$/
+            );
+
+            if (nested) {
+                obj[nested[1]] = this.parseBlock(false);
+                continue;
+            }
+
+            // key = value
+            const kv = line.match(
+                /^([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*(.+)$/
+            );
+
+            if (!kv) {
+                throw new OSError(`SwagObject parse error: Invalid line at ${this.index}: ${line}`);
+            }
+
+            const key = kv[1];
+            const value = this.parseValue(kv[2]);
+
+            obj[key] = value;
+        }
+
+        if (!isTopLevel) {
+            throw new OSError("SwagObject parse error: Unexpected end of input (missing })");
+        }
+
+        return obj;
+    }
+
+    parseValue(raw) {
+        const value = raw.trim();
+
+        // ----- array -----
+        if (value.startsWith("[") && value.endsWith("]")) {
+            const inner = value.slice(1, -1).trim();
+
+            if (inner === "") return [];
+
+            const parts = inner.split(",").map(p => p.trim());
+
+            return parts.map(p => {
+                // strings
+                if (/^(["']).*\1$/.test(p)) {
+                    return p.slice(1, -1);
+                }
+
+                // numbers
+                if (/^-?\d+(\.\d+)?$/.test(p)) {
+                    return Number(p);
+                }
+
+                // booleans
+                if (p === "true") return true;
+                if (p === "false") return false;
+
+                throw new OSError(`SwagObject parse error: Invalid array value: ${p}`);
+            });
+        }
+
+        // ----- string -----
+        if (/^(["']).*\1$/.test(value)) {
+            return value.slice(1, -1);
+        }
+
+        // ----- number -----
+        if (/^-?\d+(\.\d+)?$/.test(value)) {
+            return Number(value);
+        }
+
+        // ----- boolean -----
+        if (value === "true") return true;
+        if (value === "false") return false;
+
+        throw new OSError(`SwagObject parser error: Invalid value: ${value}`);
+    }
+
+    _cleanLine(line) {
+        line = line.replace(/\/\/.*$/, "");
+        return line.trim();
+    }
+}
+
+class OSCommandChain {
+    /**
+     * 
+     * @param {object[]} parts parsed command fragments, piped into each other
+     * @param {{raw: string, append: boolean}|null} redirect file the final output is written to instead of the terminal
+     */
+    constructor(parts, redirect = null){
+        this.parts = parts;
+        this.redirect = redirect;
+
+        // chains from the same line joined with ";", "&&" or "||". operator joins this chain to the previous one
+        this.next = null;
+        this.operator = null;
+
+        // set by OS.runChain when the last command output an error line next to its other output, e.g. "remove a.txt missing.txt"
+        this.failed = false;
+
+        // false for chains a script runs, where nobody is there to answer a prompt
+        this.interactive = true;
+    }
+
+    addPart(part){
+        this.parts.push(part);
+    }
+
+    simplify(){
+        const simplified = this.parts.map(part => part.name).join("_");
+        return this.next ? `${simplified} ${this.next.operator} ${this.next.simplify()}` : simplified;
+    }
+}
+
+class OSError extends Error {
+    constructor(message, severity = 0) {
+        super(message);
+        this.name = "OSError";
+        this.severity = severity;
+    }
+}
+
+class OSFile {
+    static calculateSize(data){
+        return new TextEncoder().encode(data.join("\n")).byteLength;
+    }
+
+    #content = [];
+    #size = 0;
+
+    constructor(identifier, parent, content = []) {
+        let [name, type] = identifier.split(".");
+
+        this.name = name;
+        this.type = type;
+        this.parent = parent; // parent directory
+        this.#content = content;
+        this.#size = OSFile.calculateSize(content);
+
+        // unix epoch milliseconds
+        this.created = Date.now();
+        this.modified = this.created;
+        this.accessed = this.created;
+
+        this.owner = FilesystemService.currentUser;
+        this.mode = FilesystemService.defaultFileMode;
+    }
+
+    fullName() {
+        return `${this.name}.${this.type}`;
+    }
+
+    fullPath() {
+        let path = [];
+        let node = this.parent;
+
+        while (node && node.parent) {
+            path.unshift(node.name);
+            node = node.parent;
+        }
+
+        return "/" + [...path, this.fullName()].join("/");
+    }
+
+    /**
+     * 
+     * @param {boolean} join 
+     * @param {boolean} access a read someone makes, which needs the read permission and updates the access time.
+     * Internal copies (snapshots, clones, account lookups) should not count as an access
+     * @returns {string[]|string}
+     */
+    read(join = false, access = true) {
+        if(access) {
+            FilesystemService.checkPermission(this, "r", "read");
+            this.accessed = Date.now();
+        }
+        if(join) return this.#content.join("\n");
+        return this.#content;
+    }
+
+    /**
+     * 
+     * @param {String[]} newContent 
+     * @param {boolean} checked false for writes the system makes on a user's behalf, which skip the permission check
+     */
+    write(newContent, checked = true) {
+        if(checked) FilesystemService.checkPermission(this, "w", "write to");
+        this.#content = newContent;
+        this.#size = OSFile.calculateSize(newContent);
+        this.touch();
+        PersistenceService.markDirty();
+    }
+
+    touch() {
+        this.modified = Date.now();
+        this.accessed = this.modified;
+    }
+
+    append(content, newline = true){
+        FilesystemService.checkPermission(this, "w", "write to");
+
+        const lines = Array.isArray(content) ? content : [content];
+
+        if(newline || this.#content.length === 0) this.#content.push(...lines);
+        else {
+            // the first line continues the last one
+            const [first, ...rest] = lines;
+            this.#content[this.#content.length - 1] += first ?? "";
+            this.#content.push(...rest);
+        }
+        
+        this.#size = OSFile.calculateSize(this.#content);
+        this.touch();
+        PersistenceService.markDirty();
+    }
+
+    getSize(formatted = false){
+
+        if(formatted == false) return this.#size;
+
+        const total = this.#size;
+
+        function f(n){
+            return Number(n.toFixed(2)).toLocaleString("en-US")
+        }
+
+        if (total < 1024) {
+            // B → KB
+            return `${f(total)} B`;
+        }
+        else if (total < 1024 * 1024) {
+            const kb = total / 1024;
+            return `${f(kb)} KB (${f(total)} B)`;
+        }
+        else if (total < 1024 * 1024 * 1024) {
+            const kb = total / 1024;
+            const mb = total / (1024 * 1024);
+            return `${f(mb)} MB (${f(kb)} KB)`;
+        }
+        else {
+            const mb = total / (1024 * 1024);
+            const gb = total / (1024 * 1024 * 1024);
+            return `${f(gb)} GB (${f(mb)} MB)`;
+        }
+    }
+}
+
+class OSDirectory {
+    constructor(name, parent = null) {
+        this.name = name;
+        this.parent = parent;
+        this.children = new Map(); // name -> OSFile or OSDirectory
+
+        // unix epoch milliseconds. modified changes when children are added or removed
+        this.created = Date.now();
+        this.modified = this.created;
+        this.accessed = this.created;
+
+        this.owner = FilesystemService.currentUser;
+        this.mode = FilesystemService.defaultDirectoryMode;
+    }
+
+    touch() {
+        this.modified = Date.now();
+        this.accessed = this.modified;
+    }
+
+    fullName() {
+        return this.name;
+    }
+
+    fullPath() {
+        let path = [];
+        let node = this;
+
+        while (node && node.parent) {
+            path.unshift(node.name);
+            node = node.parent;
+        }
+
+        return "/" + path.join("/");
+    }
+
+    list(){
+        const entries = [];
+
+        for (const [name, child] of this.children) {
+            entries.push(child);
+        }
+
+        return entries;
+    }
+}
+
+function defineCommands(){
+    CommandService.defineCommand("service", {
+        options: {
+            description: "Lists all available services and their status",
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "action",
+                description: "The action to perform",
+                required: true,
+                options: ["list", "enable", "disable", "logs"],
+            },
+            {
+                type: "positional",
+                name: "service",
+                description: "The service to enable/disable (required for enable/disable action)",
+                required: false,
+            },
+            {
+                type: "flag",
+                name: "confirm",
+                description: "Some services are critical for the operation of the OS. Use this flag to confirm that you want to disable such services",
+                required: false,
+                datatype: "boolean",
+            },
+            {
+                type: "flag",
+                name: "clear",
+                short: "c",
+                description: "Clear the service logs.",
+                required: false,
+                datatype: "boolean",
+            },
+            {
+                type: "flag",
+                name: "trace",
+                short: "t",
+                description: "Trace service logs.",
+                required: false,
+                datatype: "boolean",
+            },
+            {
+                type: "flag",
+                name: "lines",
+                short: "l",
+                description: "Last n lines to show of the log",
+                required: false,
+                datatype: "number",
+            }
+        ]
+    }, (params, os, signal) => {
+        const action = params.args[0];
+        if (action === "logs") {
+            if (params.flags.clear) {
+                DiagnosticService.diagnosticData.length = 0;
+                return;
+            }
+
+            CommandExecService.instant(os.parseCommand("diagnosticflush"));
+
+            const logFilePath = ConfigService.get("service_log_path");
+            if (!logFilePath) return { type: "error", content: "Diagnostic log file not configured. Set the 'service_log_path' config value to enable log saving." };
+
+            const logFile = FilesystemService.resolvePath(logFilePath);
+
+            return logFile.read().map((x) => {
+                const parts = x.split(DiagnosticService.separator);
+                return {
+                    type: "line",
+                    content: parts[1],
+                    loc: parts[0],
+                }
+            });
+
+
+        } else if(action === "list"){
+            const services = ServiceManager.services;
+            const lines = [];
+
+            const renderedNames = services.map(s => `${s.name}`);
+            const max = renderedNames.reduce((max, name) => Math.max(max, name.length), 0);
+
+            services.forEach((service, i) => {
+                const name = renderedNames[i].padEnd(max, " ");
+                lines.push({ type: "html", content: `${name} : ${service.enabled ? "<span class='enabled'>ENABLED</span>" : "<span class='disabled'>DISABLED</span>"}`, loc: "" });
+            });
+
+            return lines;
+
+        } else if(action === "enable" || action === "disable"){
+            const serviceName = params.args[1];
+            if(!serviceName) return { type: "error", content: "Service name is required for enable/disable action" };
+
+            const validServices = ServiceManager.services.map(x => x.shortName)
+
+            if(!validServices.includes(serviceName.toLowerCase())){
+                return { type: "error", content: `Unknown service: "${serviceName}". Valid services are: ${validServices.join(", ")}` };
+            }
+
+            if(action === "enable"){
+                const serviceShort = params.args[1]
+
+                for(const service of ServiceManager.services){
+                    if(service.shortName === serviceShort.toLowerCase()){
+                        service.enable();
+                        return { type: "line", content: `Enabled ${service.name} service`, loc: "" };
+                    }
+                }
+            } else if(action === "disable"){
+                const serviceShort = params.args[1]
+
+                for(const service of ServiceManager.services){
+                    if(service.shortName === serviceShort.toLowerCase()){
+                        if(service.critical && !params.flags.confirm){
+                            return { type: "error", content: `The "${service.name}" service is critical for the operation of the OS. Use --confirm flag to confirm that you want to disable it.` };
+                        } else {
+                            service.disable();
+                            return { type: "line", content: `Disabled ${service.name} service`, loc: "" };
+                        }
+                    }
+                }
+            }
+        }
+    });
+
+    CommandService.defineCommand("clear", {
+        options: {
+            description: "Clears the output buffer and the console",
+            alias: "cls"
+        },
+        schema: []
+    }, (params, os, signal) => {
+        OutputService.clear();
+        os.elem.innerHTML = "";
+    })
+
+    CommandService.defineCommand("print", {
+        options: {
+            description: "Prints the provided arguments to the console",
+            example: [
+                "print hello world",
+                "print \"Build finished\" --loc=build",
+            ]
+        },
+        schema: [
+            {
+                name: "text",
+                description: "The words to print, separated by spaces",
+                type: "positional",
+                required: true,
+                variadic: true,
+                pipeableFrom: "text",
+            },
+            {
+                name: "loc",
+                description: "The text to show in the location part of the line",
+                type: "flag",
+                short: "l",
+                required: false,
+                datatype: "string"
+            }
+        ]
+    }, ({args, flags, pipe}, os, signal) => {
+        const text = args.join(" ");
+        const loc = flags.loc || "";
+
+        return {
+            type: "line",
+            content: text,
+            loc: loc
+        };
+    });
+
+    // CommandService.defineCommand("formattedprint", {
+
+    // })
+
+    CommandService.defineCommand("obuffer", {
+        options: {
+            description: "Outputs the current output buffer",
+            hidden: true
+        },
+        schema: []
+    }, (params, os, signal) => {
+        OutputService.flush();
+    });
+
+    CommandService.defineCommand("commandline", {
+        options: {
+            description: "Outputs a new command line for input",
+            hidden: true
+        },
+        schema: []
+    }, (params, os, signal) => {
+        if(!os.commandRunning) os.commandLine();
+    });
+
+    CommandService.defineCommand("linecount", {
+        options: {
+            description: "Outputs the number of lines",
+            alias: "lc"
+        },
+        schema: []
+    }, (params, os, signal) => {
+        if(params.pipe) return {
+            type: "line",
+            content: params.pipe.length,
+            loc: ""
+        }
+        else return {
+            type: "line",
+            content: Array.from(os.elem.children).filter(child => child.classList.contains('line')).length - 1,
+            loc: ""
+        }
+    });
+
+    CommandService.defineCommand("help", {
+        options: {
+            description: "Lists all available commands. To get help with a specific command, use \"help commandname\"",
+            alias: "?"
+        },
+        schema: [
+            {
+                type: "flag",
+                name: "aliases",
+                short: "a",
+                description: "Show command aliases in list",
+                datatype: "boolean",
+            },
+            {
+                type: "positional",
+                name: "command",
+                description: "The command to get help for",
+                required: false,
+            },
+            {
+                type: "flag",
+                name: "verbose",
+                short: "v",
+                description: "Show detailed help information for each command",
+                datatype: "boolean",
+            }
+        ]
+    }, ({flags, args}, os, signal) => {
+        const commandName = args[0];
+
+        if (commandName) {
+
+            const entry = CommandService.getCommand(commandName);
+
+            if (!entry) {
+                const command = AliasService.getAll()[commandName];
+                if (command !== undefined) return { type: "line", content: `${commandName} is an alias for '${command}'`, loc: "" };
+
+                throw new OSError(`Unknown command: "${commandName}"`);
+            }
+
+            let name = entry.body.aliasOf ?? commandName;
+
+            const schema = entry.body.schema || [];
+            const positionalArgs = schema.filter(s => s.type === "positional");
+            const flagArgs = schema.filter(s => s.type === "flag" || s.type === "option");
+
+            if (flags.verbose) {
+
+                let usage = `Usage: ${name}`;
+                let descriptions = [];
+
+                for (const param of positionalArgs) {
+                    const paramName = param.variadic ? `${param.name}...` : param.name;
+                    usage += param.required
+                        ? ` <${paramName}>`
+                        : ` [${paramName}]`;
+                }
+
+                if (entry.body.aliasOf) {
+                    descriptions.push({ type: "line", content: `Alias of: ${entry.body.aliasOf}`, loc: "" });
+                } else if (entry.body.options.alias) {
+                    descriptions.push({ type: "line", content: `Alias: ${entry.body.options.alias}`, loc: "" });
+                }
+
+                for (const param of flagArgs) {
+                    let flagPart = '';
+
+                    if (param.short) flagPart += `-${param.short}`;
+                    if (param.short && param.name) flagPart += "|";
+                    if (param.name) flagPart += `--${param.name}`;
+
+                    usage += param.required
+                        ? ` ${flagPart}=<${param.datatype}>`
+                        : ` [${flagPart}=<${param.datatype}>]`;
+                }
+
+                descriptions.push({ type: "line", content: "", loc: "" });
+
+                for (const param of positionalArgs) {
+                    descriptions.push({ type: "line", content: `${param.name}: ${param.description || "No description available"}`, loc: "" });
+                    descriptions.push({ type: "line", content: `    Type: positional`, loc: "" });
+                    if (param.datatype) descriptions.push({ type: "line", content: `    Datatype: ${param.datatype}`, loc: "" });
+                    descriptions.push({ type: "line", content: `    Required: ${param.required ? "Yes" : "No"}`, loc: "" });
+
+                    if (param.variadic) {
+                        const { min, max } = CommandService.variadicBounds(param);
+                        const count = max === Infinity ? `${min} or more` : min === max ? `${min}` : `${min} to ${max}`;
+                        descriptions.push({ type: "line", content: `    Values: ${count}`, loc: "" });
+                    }
+
+                    if (param.options) {
+                        descriptions.push({ type: "line", content: `    Options: ${param.options.join(", ")}`, loc: "" });
+                    }
+
+                    descriptions.push({ type: "line", content: "", loc: "" });
+                }
+
+                for (const param of flagArgs) {
+                    let flagPart = '';
+
+                    if (param.short) flagPart += `-${param.short}`;
+                    if (param.short && param.name) flagPart += "|";
+                    if (param.name) flagPart += `--${param.name}`;
+
+                    descriptions.push({ type: "line", content: `${flagPart}: ${param.description || "No description available"}`, loc: "" });
+                    descriptions.push({ type: "line", content: `    Type: ${param.type}`, loc: "" });
+                    descriptions.push({ type: "line", content: `    Datatype: ${param.datatype}`, loc: "" });
+                    descriptions.push({ type: "line", content: `    Required: ${param.required ? "Yes" : "No"}`, loc: "" });
+                    descriptions.push({ type: "line", content: "", loc: "" });
+                }
+
+                return [
+                    { type: "line", content: usage, loc: "" },
+                    { type: "line", content: entry.body.options.description || "No description available", loc: "" },
+                    ...descriptions
+                ];
+
+            } else {
+
+                let usage = `Usage: ${name}`;
+
+                for (const param of positionalArgs) {
+                    const paramName = param.variadic ? `${param.name}...` : param.name;
+                    usage += param.required
+                        ? ` <${paramName}>`
+                        : ` [${paramName}]`;
+                }
+
+                for (const param of flagArgs) {
+                    const flagPart = param.short ? `-${param.short}` : `--${param.name}`;
+                    usage += param.required
+                        ? ` ${flagPart}`
+                        : ` [${flagPart}]`;
+                }
+
+                return [
+                    { type: "line", content: usage, loc: "" },
+                    { type: "line", content: entry.body.options.description || "No description available", loc: "" }
+                ];
+            }
+        }
+
+        const entries = [];
+
+        // flatten once and resolve once
+        for (const nameSet of CommandService.registeredCommands) {
+            for (const name of nameSet) {
+
+                const entry = CommandService.getCommand(name);
+                if (!entry) continue;
+
+                entries.push({ name, entry });
+            }
+        }
+
+        const commands = entries
+            .filter(({ entry }) => !entry.body.aliasOf)
+            .filter(({ entry }) => !entry.body.options.hidden)
+            .map(({ name }) => {
+
+                if (flags.aliases) {
+                    const aliases = [];
+
+                    for (const [n, e] of CommandService.commands) {
+                        if (e.body.aliasOf === name) aliases.push(n);
+                    }
+
+                    if (aliases.length) {
+                        return `${name} (${aliases.join(", ")})`;
+                    }
+                }
+
+                return name;
+            })
+            .sort((a, b) => a.localeCompare(b));
+
+        const lines = [
+            { type: "line", content: "Available commands:", loc: "" },
+            { type: "line", content: commands.join(", "), loc: "" }
+        ];
+
+        if (flags.aliases) {
+            const aliases = Object.keys(AliasService.getAll()).sort((a, b) => a.localeCompare(b));
+
+            if (aliases.length) {
+                lines.push({ type: "line", content: "User aliases:", loc: "" });
+                lines.push({ type: "line", content: aliases.join(", "), loc: "" });
+            }
+        }
+
+        return lines;
+    });
+
+    CommandService.defineCommand("man", {
+        options: {
+            description: "Shows the manual of a command: its synopsis, arguments, flags, examples and aliases, and the text in /usr/man/<command>.txt if there is one",
+            example: [
+                "man list",
+                "man grep | grep -i recursive",
+                "man trash -n=10",
+            ]
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "command",
+                description: "The command to show the manual of. Hidden commands have one too",
+                required: true,
+            },
+            {
+                type: "flag",
+                name: "lines",
+                short: "n",
+                description: "The number of lines per page",
+                required: false,
+                datatype: "number",
+                default: 20,
+            },
+            {
+                type: "flag",
+                name: "all",
+                short: "a",
+                description: "Output the whole manual at once. Manuals that are piped, redirected or shown by a script never page",
+                required: false,
+                datatype: "boolean",
+            },
+        ],
+    }, async ({args, flags, output, interactive}, os, signal) => {
+        const commandName = args[0];
+        const entry = CommandService.getCommand(commandName);
+
+        if (!entry) {
+            const command = AliasService.getAll()[commandName];
+            if (command !== undefined) return { type: "line", content: `${commandName} is an alias for '${command}'`, loc: "" };
+
+            throw new OSError(`No manual entry for "${commandName}"`);
+        }
+
+        const lines = manualPage(entry.body.aliasOf ?? commandName, entry);
+        const pageSize = flags.lines ?? 20;
+
+        if (!Number.isInteger(pageSize) || pageSize < 1) throw new OSError(`Invalid page size: ${pageSize}`);
+
+        // only someone at the command line reading the manual in the terminal can answer --More--
+        if (flags.all || !interactive || output !== "terminal" || lines.length <= pageSize) return lines.map(line => ({ type: "line", content: line, loc: "" }));
+
+        for (let shown = 0; shown < lines.length; shown += pageSize) {
+            // anything starting with q stops
+            if (shown > 0 && (await os.ask(`--More-- (${shown}/${lines.length})`, false, signal)).trim().toLowerCase().startsWith("q")) break;
+
+            lines.slice(shown, shown + pageSize).forEach(line => OutputService.add({ type: "line", content: line, loc: "" }));
+        }
+
+        OutputService.flush();
+        return null;
+    });
+
+    CommandService.defineCommand("findfile", {
+        options: {
+            description: "Searches a directory and everything below it for files and directories",
+            alias: "ff",
+            example: [
+                "findfile --name=*.txt",
+                "findfile /documents --type=img --size=+100K",
+                "ff / --dirs --maxdepth=2",
+            ]
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "path",
+                description: "The directory to search, the current one if not given",
+                required: false,
+            },
+            {
+                type: "flag",
+                name: "name",
+                short: "n",
+                description: "Only match names like this glob, e.g. *.txt or img?",
+                required: false,
+                datatype: "string",
+            },
+            {
+                type: "flag",
+                name: "type",
+                short: "t",
+                description: "Only match files of this type, e.g. img or conf",
+                required: false,
+                datatype: "string",
+            },
+            {
+                type: "flag",
+                name: "size",
+                short: "s",
+                description: "Only match files of this size. +N is more than, -N is less than and N is exactly N. N can end in B, K, M or G",
+                required: false,
+                datatype: "string",
+            },
+            {
+                type: "flag",
+                name: "maxdepth",
+                short: "d",
+                description: "How many levels below the directory to search, 1 only searches its direct children",
+                required: false,
+                datatype: "number",
+            },
+            {
+                type: "flag",
+                name: "dirs",
+                description: "Only match directories",
+                required: false,
+                datatype: "boolean",
+            },
+            {
+                type: "flag",
+                name: "files",
+                description: "Only match files",
+                required: false,
+                datatype: "boolean",
+            },
+        ],
+    }, ({args, flags}, os, signal) => {
+        const path = args[0] ?? ".";
+
+        const start = FilesystemService.resolvePath(path, "directory");
+        if(!(start instanceof OSDirectory)) throw new OSError(`Directory not found: "${path}"`);
+
+        if(flags.dirs && flags.files) throw new OSError("--dirs and --files cannot be used together");
+        if(flags.maxdepth !== undefined && flags.maxdepth < 1) throw new OSError("--maxdepth must be at least 1");
+
+        const nameRegex = flags.name !== undefined ? FilesystemService.globToRegex(flags.name) : null;
+
+        let sizeTest = null;
+
+        if(flags.size !== undefined){
+            const match = flags.size.match(/^([+-]?)(\d+(?:\.\d+)?)([BKMG]?)$/i);
+            if(!match) throw new OSError(`Invalid size: "${flags.size}". Expected something like +10K, -1M or 512`);
+
+            const units = { "": 1, b: 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+            const bytes = Number(match[2]) * units[match[3].toLowerCase()];
+
+            if(match[1] === "+") sizeTest = (size) => size > bytes;
+            else if(match[1] === "-") sizeTest = (size) => size < bytes;
+            else sizeTest = (size) => size === bytes;
+        }
+
+        if(flags.dirs && (flags.type !== undefined || sizeTest !== null)) throw new OSError("--dirs cannot be used with --type or --size");
+
+        // a type or size only makes sense for files
+        const filesOnly = flags.files || flags.type !== undefined || sizeTest !== null;
+
+        const matches = (node) => {
+            if(node instanceof OSDirectory){
+                if(filesOnly) return false;
+                return nameRegex === null || nameRegex.test(node.name);
+            }
+
+            if(flags.dirs) return false;
+            if(nameRegex !== null && !nameRegex.test(node.fullName())) return false;
+            if(flags.type !== undefined && node.type !== flags.type) return false;
+            if(sizeTest !== null && !sizeTest(node.getSize())) return false;
+
+            return true;
+        };
+
+        const maxDepth = flags.maxdepth ?? Infinity;
+        const lines = [];
+
+        const search = (directory, depth) => {
+            if(signal?.aborted) return;
+            // skip what the current user can't list
+            if(!FilesystemService.hasPermission(directory, "r")) return;
+
+            for(const child of directory.list()){
+                if(matches(child)) lines.push({ type: "line", content: child.fullPath(), loc: "" });
+                if(child instanceof OSDirectory && depth < maxDepth) search(child, depth + 1);
+            }
+        };
+
+        search(start, 1);
+
+        return lines;
+    });
+
+    CommandService.defineCommand("findtext", {
+        options: {
+            description: "Find text",
+            alias: "find"
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "text",
+                description: "The text to find",
+                required: true,
+                pipeableFrom: "text",
+            },
+            {
+                type: "flag",
+                name: "ignorecase",
+                short: "i",
+                description: "Ignore case when searching",
+                required: false,
+                datatype: "boolean",
+            },
+            {
+                type: "flag",
+                name: "regex",
+                short: "r",
+                description: "Treat the search text as a regular expression",
+                required: false,
+                datatype: "boolean",
+            },
+            {
+                type: "flag",
+                name: "search_loc",
+                short: "l",
+                description: "Search in the location part of the line as well",
+                required: false,
+                datatype: "boolean",
+            }
+        ]
+    }, ({args, pipe, flags}, os, signal) => {
+        let input = null;
+
+        if(pipe) input = pipe;
+        else {
+            input = [];
+            const lines = Array.from(os.elem.querySelectorAll(".line")).map(x => Array.from(x.children));
+            lines.forEach((line, i) => {
+                input.push({
+                    type: "line",
+                    content: line[1].textContent,
+                    loc: line[0].textContent
+                })
+            })
+        }
+
+        const searchText = args[0];
+        const ignoreCase = flags.ignorecase || false;
+        const isRegex = flags.regex || false;
+
+        let regex;
+
+        if (isRegex) {
+            try {
+                regex = new RegExp(searchText, ignoreCase ? "gi" : "g");
+            } catch (e) {
+                return { type: "error", content: `Invalid regular expression: ${e.message}` };
+            }
+        } else {
+            const escaped = searchText.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+            regex = new RegExp(escaped, ignoreCase ? "gi" : "g");
+        }
+
+        const result = [];
+
+        for (let line of input) {
+            const out = highlightMatches(line.content, regex);
+            if (out === null) continue;
+
+            result.push({
+                type: "html",
+                content: out,
+                loc: ""
+            });
+        }
+
+        if(result.length === 0){
+            return { type: "error", content: "No matches found", loc: "" };
+        }
+
+        return result;
+    });
+
+    CommandService.defineCommand("grep", {
+        options: {
+            description: "Searches the contents of files, or piped text, for lines matching a regular expression",
+            example: [
+                "grep Hello welcome.txt",
+                "grep -i -n conf /documents/filetypes.txt",
+                "grep --recursive -C=1 palette /config /data",
+                "grep -l -r img /",
+            ]
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "pattern",
+                description: "The regular expression to search for",
+                required: true,
+            },
+            {
+                type: "positional",
+                name: "paths",
+                description: "The files or directories to search. Searches piped text if not given",
+                required: false,
+                variadic: true,
+            },
+            {
+                type: "flag",
+                name: "recursive",
+                short: "r",
+                description: "Search every file inside directories",
+                required: false,
+                datatype: "boolean",
+            },
+            {
+                type: "flag",
+                name: "ignorecase",
+                short: "i",
+                description: "Ignore case when matching",
+                required: false,
+                datatype: "boolean",
+            },
+            {
+                type: "flag",
+                name: "linenumbers",
+                short: "n",
+                description: "Show the line number of each line",
+                required: false,
+                datatype: "boolean",
+            },
+            {
+                type: "flag",
+                name: "after",
+                short: "A",
+                description: "Show this many lines after each match",
+                required: false,
+                datatype: "number",
+            },
+            {
+                type: "flag",
+                name: "before",
+                short: "B",
+                description: "Show this many lines before each match",
+                required: false,
+                datatype: "number",
+            },
+            {
+                type: "flag",
+                name: "context",
+                short: "C",
+                description: "Show this many lines before and after each match",
+                required: false,
+                datatype: "number",
+            },
+            {
+                type: "flag",
+                name: "invert",
+                short: "v",
+                description: "Show the lines that don't match instead",
+                required: false,
+                datatype: "boolean",
+            },
+            {
+                type: "flag",
+                name: "count",
+                short: "c",
+                description: "Only show how many lines matched in each file",
+                required: false,
+                datatype: "boolean",
+            },
+            {
+                type: "flag",
+                name: "files",
+                short: "l",
+                description: "Only show the names of files with a matching line",
+                required: false,
+                datatype: "boolean",
+            },
+        ],
+    }, ({args, pipe, flags}, os, signal) => {
+        const [pattern, ...paths] = args;
+
+        let regex;
+
+        try {
+            regex = new RegExp(pattern, flags.ignorecase ? "gi" : "g");
+        } catch (e) {
+            throw new OSError(e.message);
+        }
+
+        const before = flags.before ?? flags.context ?? 0;
+        const after = flags.after ?? flags.context ?? 0;
+
+        if(before < 0 || after < 0) throw new OSError("Context line counts cannot be negative");
+
+        // every source of lines to search, with the name shown in front of its results
+        const sources = [];
+        const result = [];
+
+        if(paths.length === 0){
+            if(!pipe) throw new OSError("Nothing to search. Give a file path or pipe text into grep");
+            sources.push({ name: null, lines: pipeToLines(pipe) });
+        }
+
+        const addFile = (file) => sources.push({ name: file.fullPath(), lines: file.read() });
+
+        const addDirectory = (directory) => {
+            if(!FilesystemService.hasPermission(directory, "r")) return;
+
+            for(const child of directory.list()){
+                if(child instanceof OSFile) addFile(child);
+                else addDirectory(child);
+            }
+        };
+
+        for(const path of paths){
+            const node = FilesystemService.resolvePath(path, "full");
+
+            if(!node) result.push({ type: "error", content: `Path not found: "${path}"`, loc: "" });
+            else if(node instanceof OSFile) addFile(node);
+            else if(flags.recursive) addDirectory(node);
+            else result.push({ type: "error", content: `"${path}" is a directory, use --recursive to search inside it`, loc: "" });
+        }
+
+        // results only need the file name when there could be more than one file
+        const showName = sources.length > 1 || flags.recursive;
+        let matched = false;
+
+        for(const { name, lines } of sources){
+            if(signal?.aborted) break;
+
+            const isMatch = lines.map(line => {
+                regex.lastIndex = 0;
+                return regex.test(line) !== Boolean(flags.invert);
+            });
+
+            const count = isMatch.filter(Boolean).length;
+            if(count > 0) matched = true;
+
+            if(flags.files){
+                if(count > 0) result.push({ type: "line", content: name ?? "(piped text)", loc: "" });
+                continue;
+            }
+
+            if(flags.count){
+                result.push({ type: "line", content: String(count), loc: showName ? `${name}:` : "" });
+                continue;
+            }
+
+            // lines shown for each match, including context
+            const shown = new Set();
+
+            isMatch.forEach((match, i) => {
+                if(!match) return;
+                for(let j = Math.max(0, i - before); j <= Math.min(lines.length - 1, i + after); j++) shown.add(j);
+            });
+
+            let previous = null;
+
+            for(const i of [...shown].sort((a, b) => a - b)){
+                if(previous !== null && i > previous + 1) result.push({ type: "line", content: "--", loc: "" });
+                previous = i;
+
+                // grep marks matching lines with ":" and context lines with "-"
+                const separator = isMatch[i] ? ":" : "-";
+                let loc = "";
+                if(showName) loc += `${name}${separator}`;
+                if(flags.linenumbers) loc += `${i + 1}${separator}`;
+
+                const html = isMatch[i] && !flags.invert ? highlightMatches(lines[i], regex) : null;
+
+                if(html !== null) result.push({ type: "html", content: html, loc });
+                else result.push({ type: "line", content: lines[i], loc });
+            }
+        }
+
+        if(!matched && !flags.count) result.push({ type: "error", content: "No matches found", loc: "" });
+
+        return result;
+    });
+
+    CommandService.defineCommand("head", {
+        options: {
+            description: "Outputs the first lines of a file or piped output",
+            example: [
+                "head welcome.txt",
+                "history | head -n=5",
+            ]
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "path",
+                description: "The file to read. Reads piped output if not given",
+                required: false,
+            },
+            {
+                type: "flag",
+                name: "lines",
+                short: "n",
+                description: "How many lines to output, 10 if not given",
+                required: false,
+                datatype: "number",
+            },
+        ],
+    }, ({args, pipe, flags}, os, signal) => {
+        const count = flags.lines ?? 10;
+        if(count < 0) throw new OSError("Line count cannot be negative");
+
+        return toLines(inputLines(args[0], pipe).slice(0, count));
+    });
+
+    CommandService.defineCommand("tail", {
+        options: {
+            description: "Outputs the last lines of a file or piped output",
+            example: [
+                "tail /data/logs/service.log",
+                "history | tail -n=5",
+            ]
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "path",
+                description: "The file to read. Reads piped output if not given",
+                required: false,
+            },
+            {
+                type: "flag",
+                name: "lines",
+                short: "n",
+                description: "How many lines to output, 10 if not given",
+                required: false,
+                datatype: "number",
+            },
+        ],
+    }, ({args, pipe, flags}, os, signal) => {
+        const count = flags.lines ?? 10;
+        if(count < 0) throw new OSError("Line count cannot be negative");
+
+        const lines = inputLines(args[0], pipe);
+        return toLines(count === 0 ? [] : lines.slice(-count));
+    });
+
+    CommandService.defineCommand("sort", {
+        options: {
+            description: "Sorts the lines of a file or piped output",
+            example: [
+                "sort names.txt",
+                "findfile / --files | sort -r",
+                "peek numbers.txt -r | sort -n -u",
+            ]
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "path",
+                description: "The file to sort. Sorts piped output if not given",
+                required: false,
+            },
+            {
+                type: "flag",
+                name: "reverse",
+                short: "r",
+                description: "Sort in descending order",
+                required: false,
+                datatype: "boolean",
+            },
+            {
+                type: "flag",
+                name: "numeric",
+                short: "n",
+                description: "Compare lines by the number they start with. Lines that don't start with one count as 0",
+                required: false,
+                datatype: "boolean",
+            },
+            {
+                type: "flag",
+                name: "unique",
+                short: "u",
+                description: "Only keep the first of lines that compare equal",
+                required: false,
+                datatype: "boolean",
+            },
+        ],
+    }, ({args, pipe, flags}, os, signal) => {
+        const key = flags.numeric ? (line => parseFloat(line) || 0) : (line => line);
+        const compare = (a, b) => {
+            const [x, y] = [key(a), key(b)];
+            return x < y ? -1 : x > y ? 1 : 0;
+        };
+
+        let lines = [...inputLines(args[0], pipe)].sort(compare);
+
+        if(flags.unique) lines = lines.filter((line, i) => i === 0 || compare(lines[i - 1], line) !== 0);
+        if(flags.reverse) lines.reverse();
+
+        return toLines(lines);
+    });
+
+    CommandService.defineCommand("uniq", {
+        options: {
+            description: "Collapses repeated adjacent lines of a file or piped output into one",
+            example: [
+                "sort names.txt | uniq",
+                "sort names.txt | uniq -c",
+            ]
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "path",
+                description: "The file to read. Reads piped output if not given",
+                required: false,
+            },
+            {
+                type: "flag",
+                name: "count",
+                short: "c",
+                description: "Put how many times each line was repeated in front of it",
+                required: false,
+                datatype: "boolean",
+            },
+        ],
+    }, ({args, pipe, flags}, os, signal) => {
+        const groups = [];
+
+        for(const line of inputLines(args[0], pipe)){
+            const last = groups.at(-1);
+            if(last && last.line === line) last.count++;
+            else groups.push({ line, count: 1 });
+        }
+
+        if(!flags.count) return toLines(groups.map(g => g.line));
+
+        const width = Math.max(0, ...groups.map(g => String(g.count).length));
+        return toLines(groups.map(g => `${String(g.count).padStart(width, " ")} ${g.line}`));
+    });
+
+    CommandService.defineCommand("wc", {
+        options: {
+            description: "Counts the lines, words and characters of a file or piped output",
+            example: [
+                "wc welcome.txt",
+                "findfile / --files | wc -l",
+            ]
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "path",
+                description: "The file to count. Counts piped output if not given",
+                required: false,
+            },
+            {
+                type: "flag",
+                name: "lines",
+                short: "l",
+                description: "Only count lines",
+                required: false,
+                datatype: "boolean",
+            },
+            {
+                type: "flag",
+                name: "words",
+                short: "w",
+                description: "Only count words",
+                required: false,
+                datatype: "boolean",
+            },
+            {
+                type: "flag",
+                name: "chars",
+                short: "c",
+                description: "Only count characters, including the line breaks between lines",
+                required: false,
+                datatype: "boolean",
+            },
+        ],
+    }, ({args, pipe, flags}, os, signal) => {
+        const lines = inputLines(args[0], pipe);
+
+        const counts = {
+            lines: lines.length,
+            words: lines.reduce((total, line) => total + line.split(/\s+/).filter(w => w.length > 0).length, 0),
+            chars: lines.join("\n").length,
+        };
+
+        // without any flags everything is counted
+        const selected = ["lines", "words", "chars"].filter(name => flags[name]);
+        const shown = (selected.length > 0 ? selected : ["lines", "words", "chars"]).map(name => counts[name]);
+
+        return { type: "line", content: shown.join(" ") + (args[0] !== undefined ? ` ${args[0]}` : ""), loc: "" };
+    });
+
+    CommandService.defineCommand("cut", {
+        options: {
+            description: "Outputs selected fields of each line of a file or piped output",
+            example: [
+                "cut -f=1 /documents/filetypes.txt -d=\" \"",
+                "peek table.txt -r | cut -d=, -f=2-4",
+                "cut -f=1,3- data.txt",
+            ]
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "path",
+                description: "The file to read. Reads piped output if not given",
+                required: false,
+            },
+            {
+                type: "flag",
+                name: "fields",
+                short: "f",
+                description: "The fields to keep, counting from 1, e.g. 2, 1,3 or 2-4. Open ranges such as 3- go to the end",
+                required: true,
+                datatype: "string",
+            },
+            {
+                type: "flag",
+                name: "delimiter",
+                short: "d",
+                description: "The text between fields, a space if not given",
+                required: false,
+                datatype: "string",
+            },
+        ],
+    }, ({args, pipe, flags}, os, signal) => {
+        const delimiter = flags.delimiter ?? " ";
+        if(delimiter === "") throw new OSError("Delimiter cannot be empty");
+
+        const ranges = flags.fields.split(",").map(part => {
+            const match = part.match(/^(\d*)(-?)(\d*)$/);
+            if(!match || part === "-" || part === "") throw new OSError(`Invalid field list: "${flags.fields}"`);
+
+            const start = match[1] === "" ? 1 : Number(match[1]);
+            const end = match[2] === "" ? start : match[3] === "" ? Infinity : Number(match[3]);
+
+            if(start < 1 || end < start) throw new OSError(`Invalid field range: "${part}"`);
+            return [start, end];
+        });
+
+        const selected = (field) => ranges.some(([start, end]) => field >= start && field <= end);
+
+        return toLines(inputLines(args[0], pipe).map(line => {
+            // lines without the delimiter are kept whole
+            if(!line.includes(delimiter)) return line;
+
+            return line.split(delimiter).filter((_, i) => selected(i + 1)).join(delimiter);
+        }));
+    });
+
+    CommandService.defineCommand("tr", {
+        options: {
+            description: "Replaces or deletes characters in a file or piped output",
+            example: [
+                "peek welcome.txt -r | tr a-z A-Z",
+                "tr -d aeiou welcome.txt",
+                "tr _ \" \" /config/user.conf",
+            ]
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "from",
+                description: "The characters to replace, ranges such as a-z are allowed",
+                required: true,
+            },
+            {
+                type: "positional",
+                name: "to",
+                description: "The characters to replace them with, in the same order. The last one is repeated if this is shorter. Left out with --delete",
+                required: false,
+            },
+            {
+                type: "positional",
+                name: "path",
+                description: "The file to read. Reads piped output if not given",
+                required: false,
+            },
+            {
+                type: "flag",
+                name: "delete",
+                short: "d",
+                description: "Delete the characters instead of replacing them",
+                required: false,
+                datatype: "boolean",
+            },
+        ],
+    }, ({args, pipe, flags}, os, signal) => {
+        const expand = (set) => {
+            const chars = [];
+
+            for(let i = 0; i < set.length; i++){
+                if(set[i + 1] === "-" && i + 2 < set.length){
+                    const [start, end] = [set.charCodeAt(i), set.charCodeAt(i + 2)];
+                    if(end < start) throw new OSError(`Invalid range: "${set.slice(i, i + 3)}"`);
+                    for(let c = start; c <= end; c++) chars.push(String.fromCharCode(c));
+                    i += 2;
+                } else {
+                    chars.push(set[i]);
+                }
+            }
+
+            return chars;
+        };
+
+        const from = expand(args[0]);
+
+        if(flags.delete){
+            const removed = new Set(from);
+            return toLines(inputLines(args[1], pipe).map(line => Array.from(line).filter(c => !removed.has(c)).join("")));
+        }
+
+        if(args[1] === undefined) throw new OSError(`Missing required argument: "to"`);
+
+        const to = expand(args[1]);
+        if(to.length === 0) throw new OSError(`"to" cannot be empty`);
+
+        const map = new Map(from.map((c, i) => [c, to[Math.min(i, to.length - 1)]]));
+
+        return toLines(inputLines(args[2], pipe).map(line => Array.from(line).map(c => map.get(c) ?? c).join("")));
+    });
+
+    CommandService.defineCommand("write", {
+        options: {
+            description: "Replaces the content of a file with text or piped output, creating the file if needed",
+            example: [
+                "write notes.txt hello world",
+                "findfile / --files | write /data/files.txt",
+                "write empty.txt",
+            ]
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "path",
+                description: "The file to write. Files without a type get .txt",
+                required: true,
+            },
+            {
+                type: "positional",
+                name: "text",
+                description: "The words of the line to write. Writes piped output if not given, or empties the file if there is none",
+                required: false,
+                variadic: true,
+            },
+        ],
+    }, ({args, pipe, flags}, os, signal) => {
+        const [path, ...words] = args;
+        const lines = words.length > 0 ? [words.join(" ")] : pipe ? pipeToLines(pipe) : [];
+
+        const file = FilesystemService.writeFile(path, lines);
+        return { type: "line", content: `Wrote ${lines.length} line${lines.length === 1 ? "" : "s"} to ${file.fullPath()}`, loc: "" };
+    });
+
+    CommandService.defineCommand("append", {
+        options: {
+            description: "Adds text or piped output to the end of a file, creating the file if needed",
+            example: [
+                "append notes.txt another line",
+                "append notes.txt \" and more\" --no-newline",
+                "history | append /data/history_backup.txt",
+            ]
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "path",
+                description: "The file to append to. Files without a type get .txt",
+                required: true,
+            },
+            {
+                type: "positional",
+                name: "text",
+                description: "The words of the line to append. Appends piped output if not given",
+                required: false,
+                variadic: true,
+            },
+            {
+                type: "flag",
+                name: "no-newline",
+                description: "Continue the last line of the file instead of starting a new one",
+                required: false,
+                datatype: "boolean",
+            },
+        ],
+    }, ({args, pipe, flags}, os, signal) => {
+        const [path, ...words] = args;
+
+        if(words.length === 0 && !pipe) throw new OSError("Nothing to append. Give some text or pipe output into append");
+
+        const lines = words.length > 0 ? [words.join(" ")] : pipeToLines(pipe);
+
+        const file = FilesystemService.writeFile(path, lines, true, !flags["no-newline"]);
+        return { type: "line", content: `Appended ${lines.length} line${lines.length === 1 ? "" : "s"} to ${file.fullPath()}`, loc: "" };
+    });
+
+    CommandService.defineCommand("tee", {
+        options: {
+            description: "Writes piped output to a file and passes it on unchanged",
+            example: [
+                "findfile / --files | tee /data/files.txt | wc -l",
+                "grep -r conf / | tee -a /data/matches.txt",
+            ]
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "path",
+                description: "The file to write. Files without a type get .txt",
+                required: true,
+            },
+            {
+                type: "flag",
+                name: "append",
+                short: "a",
+                description: "Add to the end of the file instead of replacing its content",
+                required: false,
+                datatype: "boolean",
+            },
+            {
+                type: "flag",
+                name: "no-newline",
+                description: "When appending, continue the last line of the file instead of starting a new one",
+                required: false,
+                datatype: "boolean",
+            },
+        ],
+    }, ({args, pipe, flags}, os, signal) => {
+        if(!pipe) throw new OSError("Nothing to write. Pipe output into tee");
+
+        FilesystemService.writeFile(args[0], pipeToLines(pipe), flags.append, !flags["no-newline"]);
+
+        return pipe;
+    });
+
+    CommandService.defineCommand("diff", {
+        options: {
+            description: "Shows the lines that differ between two files, or a file and piped output, as a unified diff",
+            example: [
+                "diff /config/user.conf ~/user.conf",
+                "diff old.txt new.txt --context=1",
+                "peek notes.txt -r | tr a-z A-Z | diff notes.txt",
+            ]
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "a",
+                description: "The original file",
+                required: true,
+            },
+            {
+                type: "positional",
+                name: "b",
+                description: "The changed file. Compares against piped output if not given",
+                required: false,
+            },
+            {
+                type: "flag",
+                name: "context",
+                short: "c",
+                description: "How many unchanged lines to show around each change, 3 if not given",
+                required: false,
+                datatype: "number",
+            },
+        ],
+    }, ({args, pipe, flags}, os, signal) => {
+        const context = flags.context ?? 3;
+        if(context < 0) throw new OSError("Context line count cannot be negative");
+
+        const readFile = (path) => {
+            const file = FilesystemService.resolvePath(path, "full");
+            if(!(file instanceof OSFile)) throw new OSError(`file "${path}" could not be found`);
+            return { name: file.fullPath(), lines: file.read() };
+        };
+
+        const a = readFile(args[0]);
+        let b;
+
+        if(args[1] !== undefined) b = readFile(args[1]);
+        else if(pipe) b = { name: "(piped output)", lines: pipeToLines(pipe) };
+        else throw new OSError("Nothing to compare against. Give a second file or pipe output into diff");
+
+        const ops = diffLines(a.lines, b.lines);
+        const changed = ops.map((op, i) => op.type !== " " ? i : -1).filter(i => i !== -1);
+
+        if(changed.length === 0) return { type: "line", content: "No differences", loc: "" };
+
+        // changes closer together than twice the context share a hunk
+        const hunks = [];
+
+        for(const i of changed){
+            const last = hunks.at(-1);
+            if(last && i - last.end <= context * 2 + 1) last.end = i;
+            else hunks.push({ start: i, end: i });
+        }
+
+        const result = [
+            { type: "line", content: `--- ${a.name}`, loc: "" },
+            { type: "line", content: `+++ ${b.name}`, loc: "" },
+        ];
+
+        for(const hunk of hunks){
+            const slice = ops.slice(Math.max(0, hunk.start - context), Math.min(ops.length, hunk.end + context + 1));
+
+            const oldLines = slice.filter(op => op.type !== "+");
+            const newLines = slice.filter(op => op.type !== "-");
+
+            // an empty side is shown as starting at the line before it, like other diff tools
+            const range = (lines, key, fallback) => {
+                const start = lines.length > 0 ? lines[0][key] + 1 : fallback;
+                return `${start},${lines.length}`;
+            };
+
+            const first = slice[0];
+            result.push({ type: "line", content: `@@ -${range(oldLines, "a", first.a)} +${range(newLines, "b", first.b)} @@`, loc: "" });
+
+            for(const op of slice){
+                if(op.type === " ") result.push({ type: "line", content: ` ${op.line}`, loc: "" });
+                else result.push({ type: "html", content: `<span class="${op.type === "+" ? "diff_add" : "diff_remove"}">${escapeHtml(op.type + op.line)}</span>`, loc: "" });
+            }
+        }
+
+        return result;
+    });
+
+    CommandService.defineCommand("makefile", {
+        options: {
+            description: "Creates a file",
+            alias: "mf",
+            example: [
+                "makefile myfile.txt",
+                "makefile path/myfile.txt",
+            ]
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "path",
+                description: "The name of the file to create in [name].[filetype] format",
+                required: true,
+            }
+        ]
+    }, ({args, flags}, os, signal) => {
+        const path = args[0];
+
+        if(!path) return { type: "error", content: "File identifier is required", loc: "" };
+
+        const parts = path.split("/");
+
+        let lastPart = parts.pop();
+
+        let [name, type] = lastPart.split(".");
+
+        if(!type) type = "txt";
+
+        try {
+            FilesystemService.createFile(`${name}.${type}`, parts.join("/"), [""]);
+            return { type: "line", content: `Created file "${name}.${type}"`, loc: "" };
+        } catch (e) {
+            return { type: "error", content: e.message, loc: "" };
+        }   
+    })
+
+    CommandService.defineCommand("makedirectory", {
+        options: {
+            description: "Creates a directory",
+            alias: "md",
+            example: [
+                "makedirectory mydir",
+                "makedirectory /path/mydir"
+            ]
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "directory_name",
+                description: "The name of the directory to create",
+                required: true,
+            },
+        ]
+    }, ({args, flags}, os, signal) => {
+        const path = args[0];
+
+        const parts = path.split("/");
+
+        const dirName = parts.pop();
+
+        if(!dirName) return { type: "error", content: "Directory name is required", loc: "" };
+
+        try {
+            FilesystemService.createDirectory(dirName, parts.join("/"));
+            return { type: "line", content: `Created directory "${dirName}"`, loc: "" };
+        } catch (e) {
+            return { type: "error", content: e.message, loc: "" };
         }
+    })
 
-        return entries;
-    }
-}
-
-function defineCommands(){
-    CommandService.defineCommand("service", {
+    CommandService.defineCommand("changedirectory", {
         options: {
-            description: "Lists all available services and their status",
+            description: "Changes the current working directory",
+            alias: "cd",
+            example: [
+                "changedirectory",
+                "changedirectory /path/to/directory",
+                "changedirectory ..",
+                "changedirectory ../.."
+            ]
         },
         schema: [
             {
                 type: "positional",
-                name: "action",
-                description: "The action to perform",
+                name: "path",
+                description: "The path of the directory to change to.",
                 required: true,
-                options: ["list", "enable", "disable", "logs"],
-            },
-            {
-                type: "positional",
-                name: "service",
-                description: "The service to enable/disable (required for enable/disable action)",
-                required: false,
             },
+        ]
+    }, ({args, flags}, os, signal) => {
+        const path = args[0];
+
+        try {
+            FilesystemService.setWorkingDirectory(path, "full");
+            return;
+        } catch (e) {
+            return { type: "error", content: e.message, loc: "" };
+        }
+    })
+
+    CommandService.defineCommand("list", {
+        options: {
+            description: "Lists files in the current working directory",
+            alias: "ls"
+        },
+        schema: [
             {
                 type: "flag",
-                name: "confirm",
-                description: "Some services are critical for the operation of the OS. Use this flag to confirm that you want to disable such services",
+                name: "recursive",
+                short: "r",
+                description: "List files recursively",
                 required: false,
-                datatype: "boolean",
+                datatype: "number",
+                default: 0
             },
             {
                 type: "flag",
-                name: "clear",
-                short: "c",
-                description: "Clear the service logs.",
+                name: "size",
+                short: "s",
+                description: "Show file sizes",
                 required: false,
                 datatype: "boolean",
             },
             {
                 type: "flag",
-                name: "trace",
-                short: "t",
-                description: "Trace service logs.",
+                name: "spacing",
+                short: "sp",
+                description: "Set the spacing between tree branches when using recursive listing",
                 required: false,
-                datatype: "boolean",
+                datatype: "number",
             },
             {
                 type: "flag",
-                name: "lines",
+                name: "long",
                 short: "l",
-                description: "Last n lines to show of the log",
+                description: "Show the permissions, owner and last modification time of each file and directory",
                 required: false,
-                datatype: "number",
-            }
-        ]
-    }, (params, os, signal) => {
-        const action = params.args[0];
-        if (action === "logs") {
-            if (params.flags.clear) {
-                DiagnosticService.diagnosticData.length = 0;
-                return;
+                datatype: "boolean",
             }
+        ],
+    }, ({args, flags}, os, signal) => {
+        const template = flags.long ? ConfigService.get("timestamp_template") : null;
 
-            CommandExecService.instant(os.parseCommand("diagnosticflush"));
+        if(flags.recursive != undefined){
+            const recurseAmount = flags.recursive > 0 ? flags.recursive : Infinity;
 
-            const logFilePath = ConfigService.get("service_log_path");
-            if (!logFilePath) return { type: "error", content: "Diagnostic log file not configured. Set the 'service_log_path' config value to enable log saving." };
+            const dir = FilesystemService.resolvePath(FilesystemService.getCurrentPath());
 
-            const logFile = FilesystemService.resolvePath(logFilePath);
+            const lines = [];
 
-            return logFile.read().map((x) => {
-                const parts = x.split(DiagnosticService.separator);
-                return {
-                    type: "line",
-                    content: parts[1],
-                    loc: parts[0],
-                }
-            });
+            if(flags.spacing && flags.spacing < 1) throw new OSError("Spacing must be at least 1");
 
+            const spacing = flags.spacing ?? ConfigService.get("default_list_recursive_spacing");
 
-        } else if(action === "list"){
-            const services = ServiceManager.services;
-            const lines = [];
+            const listRecursive = (directory, prefix = "", level = 0) => {
+                if (level >= recurseAmount) return;
 
-            const renderedNames = services.map(s => `${s.name}`);
-            const max = renderedNames.reduce((max, name) => Math.max(max, name.length), 0);
+                const entries = directory.list();
 
-            services.forEach((service, i) => {
-                const name = renderedNames[i].padEnd(max, " ");
-                lines.push({ type: "html", content: `${name} : ${service.enabled ? "<span class='enabled'>ENABLED</span>" : "<span class='disabled'>DISABLED</span>"}`, loc: "" });
-            });
+                const lastIndex = entries.length - 1;
 
-            return lines;
+                entries.forEach((entry, index) => {
+                    const isLast = index === lastIndex;
 
-        } else if(action === "enable" || action === "disable"){
-            const serviceName = params.args[1];
-            if(!serviceName) return { type: "error", content: "Service name is required for enable/disable action" };
+                    // Tree characters
+                    const branch = (isLast ? "└" : "├") + "─".repeat(spacing - 1);
+                    const nextPrefix = prefix + (isLast ? (" " + " ".repeat(spacing)) : ("│" + ' '.repeat(spacing)));
 
-            const validServices = ServiceManager.services.map(x => x.shortName)
+                    if (entry instanceof OSDirectory) {
+                        let line = entry.name;
+                        if(flags.long) line += ` - ${FilesystemService.formatMode(entry)} ${entry.owner} ${os.timestamp(template, entry.modified)}`;
+                        lines.push({ type: "line", content: line, loc: prefix + branch });
+                        listRecursive(entry, nextPrefix, level + 1);
+                    } else {
+                        let line = entry.fullName();
+                        if(flags.size) line += ` - ${entry.getSize(true)}`;
+                        if(flags.long) line += ` - ${FilesystemService.formatMode(entry)} ${entry.owner} ${os.timestamp(template, entry.modified)}`;
+                        lines.push({ type: "line", content: line, loc: prefix + branch })
+                    }
+                });
+            };
 
-            if(!validServices.includes(serviceName.toLowerCase())){
-                return { type: "error", content: `Unknown service: "${serviceName}". Valid services are: ${validServices.join(", ")}` };
-            }
+            listRecursive(dir);
 
-            if(action === "enable"){
-                const serviceShort = params.args[1]
+            return lines;
+        }
 
-                for(const service of ServiceManager.services){
-                    if(service.shortName === serviceShort.toLowerCase()){
-                        service.enable();
-                        return { type: "line", content: `Enabled ${service.name} service`, loc: "" };
-                    }
-                }
-            } else if(action === "disable"){
-                const serviceShort = params.args[1]
+        const children = FilesystemService.resolvePath(FilesystemService.getCurrentPath()).children;
+        const lines = [];
 
-                for(const service of ServiceManager.services){
-                    if(service.shortName === serviceShort.toLowerCase()){
-                        if(service.critical && !params.flags.confirm){
-                            return { type: "error", content: `The "${service.name}" service is critical for the operation of the OS. Use --confirm flag to confirm that you want to disable it.` };
-                        } else {
-                            service.disable();
-                            return { type: "line", content: `Disabled ${service.name} service`, loc: "" };
-                        }
-                    }
-                }
+        const ownerWidth = Math.max(0, ...Array.from(children.values()).map(child => child.owner.length));
+        const long = (child) => `${FilesystemService.formatMode(child)} ${child.owner.padEnd(ownerWidth, " ")} ${os.timestamp(template, child.modified)}`;
+
+        children.entries().forEach(([name, child]) => {
+            if (child instanceof OSDirectory){
+                lines.push({ type: "line", content: ` [DIR] ${child.name}`, loc: flags.long ? long(child) : "" });
             }
-        }
-    });
+        })
+        children.entries().forEach(([name, child]) => {
+            if(child instanceof OSFile){
+                let line = `       ${child.fullName()}`;
+                if(flags.size) line += ` (${child.getSize(true)})`;
+                lines.push({ type: "line", content: line, loc: flags.long ? long(child) : "" });
+            }
+        })
 
-    CommandService.defineCommand("clear", {
-        options: {
-            description: "Clears the output buffer and the console",
-            alias: "cls"
-        },
-        schema: []
-    }, (params, os, signal) => {
-        OutputService.clear();
-        os.elem.innerHTML = "";
+        if(lines.length == 0){
+            lines.push({ type: "line", content: "-- Directory empty --", loc: "" });
+        }
+        
+        return lines;
     })
 
-    CommandService.defineCommand("print", {
+    CommandService.defineCommand("peek", {
         options: {
-            description: "Prints the provided arguments to the console",
+            description: "Read one or more files",
+            alias: "p",
+            example: [
+                "peek welcome.txt",
+                "peek /documents/*.txt",
+            ]
         },
         schema: [
             {
-                name: "text",
-                description: "The text to print",
                 type: "positional",
+                name: "file_path",
+                description: "The paths of the files to read",
                 required: true,
-                pipeableFrom: "text",
+                variadic: true,
+                datatype: "file",
             },
             {
-                name: "loc_text",
-                description: "The text to show in the location part of the line",
-                type: "positional",
-                short: "l",
-                datatype: "string"
-            }
+                type: "flag",
+                name: "raw",
+                short: "r",
+                description: "Outputs raw file content",
+                required: false,
+                datatype: "boolean",
+            },
         ]
-    }, ({args, flags, pipe}, os, signal) => {
-        const text = args[0];
-        const loc = args[1] || "";
-
-        return {
-            type: "line",
-            content: text,
-            loc: loc
-        };
-    });
-
-    // CommandService.defineCommand("formattedprint", {
-
-    // })
-
-    CommandService.defineCommand("obuffer", {
-        options: {
-            description: "Outputs the current output buffer",
-            hidden: true
-        },
-        schema: []
-    }, (params, os, signal) => {
-        OutputService.flush();
-    });
-
-    CommandService.defineCommand("commandline", {
-        options: {
-            description: "Outputs a new command line for input",
-            hidden: true
-        },
-        schema: []
-    }, (params, os, signal) => {
-        if(!os.commandRunning) os.commandLine();
-    });
+    }, ({args, nodes, pipe, flags}, os, signal) => {
+        const files = nodes;
 
-    CommandService.defineCommand("linecount", {
-        options: {
-            description: "Outputs the number of lines",
-            alias: "lc"
-        },
-        schema: []
-    }, (params, os, signal) => {
-        if(params.pipe) return {
-            type: "line",
-            content: params.pipe.length,
-            loc: ""
+        function outputRaw(file) {
+            const lines = [{ type: "line", content: `--- ${flags.raw ? "Raw " : ""}Contents of "${file.fullName()}" ---`, loc: "" }];
+            file.read().forEach(line => {
+                lines.push({ type: "line", content: line, loc: ":" });
+            });
+            return lines;
         }
-        else return {
-            type: "line",
-            content: Array.from(os.elem.children).filter(child => child.classList.contains('line')).length - 1,
-            loc: ""
+
+        try {
+            return files.flatMap(file => outputRaw(file));
+        } catch(e) {
+            console.log(e);
+            if(e instanceof OSError) return { type: "error", content: e.message, loc: "" };
+            else {
+                console.error(e);
+                return { type: "error", content: `An unexpected error occurred while reading the file. Check console for details.`, loc: "" };
+            }
         }
     });
 
-    CommandService.defineCommand("help", {
+    CommandService.defineCommand("view", {
         options: {
-            description: "Lists all available commands. To get help with a specific command, use \"help commandname\"",
-            alias: "?"
+            description: "View an image file",
+            alias: "v"
         },
         schema: [
             {
-                type: "flag",
-                name: "aliases",
-                short: "a",
-                description: "Show command aliases in list",
-                datatype: "boolean",
+                type: "positional",
+                name: "file_path",
+                description: "The path of the file to read",
+                required: true,
+                datatype: "file",
             },
             {
-                type: "positional",
-                name: "command",
-                description: "The command to get help for",
+                type: "flag",
+                name: "legacy",
+                short: "l",
+                description: "Use legacy rendering for images. Slower, but can support larger pixel sizes.",
                 required: false,
+                datatype: "boolean",
             },
             {
                 type: "flag",
-                name: "verbose",
-                short: "v",
-                description: "Show detailed help information for each command",
-                datatype: "boolean",
-            }
+                name: "pixelsize",
+                short: "p",
+                description: "Set the pixel size",
+                required: false,
+                datatype: "number",
+                default: 1
+            },
         ]
-    }, ({flags, args}, os, signal) => {
-        const commandName = args[0];
-
-        if (commandName) {
-
-            const entry = CommandService.getCommand(commandName);
-            if (!entry) throw new OSError(`Unknown command: "${commandName}"`);
-
-            let name = entry.body.aliasOf ?? commandName;
-
-            const schema = entry.body.schema || [];
-            const positionalArgs = schema.filter(s => s.type === "positional");
-            const flagArgs = schema.filter(s => s.type === "flag" || s.type === "option");
+    }, ({args, nodes, flags}, os, signal) => {
+        const file = nodes[0];
 
-            if (flags.verbose) {
+        if(["bmap", "img"].includes(file.type)){
+            const imageData = ImageReader.readBitmap(file);
 
-                let usage = `Usage: ${name}`;
-                let descriptions = [];
+            return [{ type: "pixel_matrix", content: imageData, legacy: flags.legacy, pixelSize: flags.pixelsize }];
+        } else {
+            return { type: "error", content: `Unsupported file type: "${file.type}".`, loc: "" };
+        }
+    })
 
-                for (const param of positionalArgs) {
-                    usage += param.required
-                        ? ` <${param.name}>`
-                        : ` [${param.name}]`;
-                }
+    CommandService.defineCommand("time", {
+        options: {
+            description: "Outputs the current timestamp",
+            alias: "time",
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "template",
+                description: "The template to use for the timestamp. If not provided, the default template from the config will be used.",
+                required: false,
+            },
+        ]
+    }, ({args, flags}, os, signal) => {
+        const template = args[0] || ConfigService.get("timestamp_template");
+        return { type: "line", content: os.timestamp(template), loc: "" };
+    })
 
-                if (entry.body.aliasOf) {
-                    descriptions.push({ type: "line", content: `Alias of: ${entry.body.aliasOf}`, loc: "" });
-                } else if (entry.body.options.alias) {
-                    descriptions.push({ type: "line", content: `Alias: ${entry.body.options.alias}`, loc: "" });
-                }
+    CommandService.defineCommand("colortest", {
+        options: {
+            description: "Outputs a test of all colors in the palette",
+            hidden: true
+        },
+        schema: [],
+    }, ({args, flags}, os, signal) => {
+        const paletteKey = ConfigService.get("color_palette");
 
-                for (const param of flagArgs) {
-                    let flagPart = '';
+        const palette = FilesystemService.resolvePath(`/data/palettes/${paletteKey}.conf`, "full");
 
-                    if (param.short) flagPart += `-${param.short}`;
-                    if (param.short && param.name) flagPart += "|";
-                    if (param.name) flagPart += `--${param.name}`;
+        if(!palette) throw new OSError(`Palette file not found at /data/palettes/${paletteKey}.conf`);
+        if(!(palette instanceof OSFile)) throw new OSError(`Palette file not found at /config/palette.conf`);
 
-                    usage += param.required
-                        ? ` ${flagPart}=<${param.datatype}>`
-                        : ` [${flagPart}=<${param.datatype}>]`;
-                }
+        const htmlLines = [];
 
-                descriptions.push({ type: "line", content: "", loc: "" });
+        const paletteFile = new SwagObjectParser(palette.read()).parse();
 
-                for (const param of positionalArgs) {
-                    descriptions.push({ type: "line", content: `${param.name}: ${param.description || "No description available"}`, loc: "" });
-                    descriptions.push({ type: "line", content: `    Type: positional`, loc: "" });
-                    descriptions.push({ type: "line", content: `    Required: ${param.required ? "Yes" : "No"}`, loc: "" });
+        function getContrastingColor(hex) {
+            hex = hex.replace("#", "");
 
-                    if (param.options) {
-                        descriptions.push({ type: "line", content: `    Options: ${param.options.join(", ")}`, loc: "" });
-                    }
+            let r = parseInt(hex.substring(0, 2), 16) / 255;
+            let g = parseInt(hex.substring(2, 4), 16) / 255;
+            let b = parseInt(hex.substring(4, 6), 16) / 255;
 
-                    descriptions.push({ type: "line", content: "", loc: "" });
-                }
+            [r, g, b] = [r, g, b].map(c =>
+                c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4)
+            );
 
-                for (const param of flagArgs) {
-                    let flagPart = '';
+            const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
 
-                    if (param.short) flagPart += `-${param.short}`;
-                    if (param.short && param.name) flagPart += "|";
-                    if (param.name) flagPart += `--${param.name}`;
+            return luminance > 0.179 ? "#000000" : "#ffffff";
+        }
 
-                    descriptions.push({ type: "line", content: `${flagPart}: ${param.description || "No description available"}`, loc: "" });
-                    descriptions.push({ type: "line", content: `    Type: ${param.type}`, loc: "" });
-                    descriptions.push({ type: "line", content: `    Datatype: ${param.datatype}`, loc: "" });
-                    descriptions.push({ type: "line", content: `    Required: ${param.required ? "Yes" : "No"}`, loc: "" });
-                    descriptions.push({ type: "line", content: "", loc: "" });
-                }
+        const pad = Math.max(...Object.entries(paletteFile).map(x=>x[1].length));
 
-                return [
-                    { type: "line", content: usage, loc: "" },
-                    { type: "line", content: entry.body.options.description || "No description available", loc: "" },
-                    ...descriptions
-                ];
+        const pairs = {};
 
-            } else {
+        let padding = '';
+        
+        for(const [key, value] of Object.entries(paletteFile)){
 
-                let usage = `Usage: ${name}`;
+            const [category, type] = key.split("_");
 
-                for (const param of positionalArgs) {
-                    usage += param.required
-                        ? ` <${param.name}>`
-                        : ` [${param.name}]`;
-                }
+            if(pairs[category] == undefined) pairs[category] = {};
 
-                for (const param of flagArgs) {
-                    const flagPart = param.short ? `-${param.short}` : `--${param.name}`;
-                    usage += param.required
-                        ? ` ${flagPart}`
-                        : ` [${flagPart}]`;
-                }
+            padding = " ".repeat(pad - value.length + 10);
 
-                return [
-                    { type: "line", content: usage, loc: "" },
-                    { type: "line", content: entry.body.options.description || "No description available", loc: "" }
-                ];
+            if(type === "background") {
+                pairs[category].background = value;
+                htmlLines.push({type: "html", content: `${value.padStart(pad, " ")} : <span style="color: ${getContrastingColor(value)}; background-color: ${value}">${key}</span>`})
+            } else if(type === "color") {
+                pairs[category].color = value;
+                htmlLines.push({type: "html", content: `${value.padStart(pad, " ")} : <span style="color: ${value}; background-color: ${getContrastingColor(value)}">${key}</span>`})
             }
         }
 
-        const entries = [];
-
-        // flatten once and resolve once
-        for (const nameSet of CommandService.registeredCommands) {
-            for (const name of nameSet) {
+        htmlLines.push({type: "html", content: `<br>`})
 
-                const entry = CommandService.getCommand(name);
-                if (!entry) continue;
 
-                entries.push({ name, entry });
+        for(const [category, pair] of Object.entries(pairs)){
+            if(pair.background && pair.color){
+                htmlLines.push({type: "html", loc: padding,  content: `<span style="color: ${pair.color}; background-color: ${pair.background}">${category}</span>`})
             }
         }
 
-        const commands = entries
-            .filter(({ entry }) => !entry.body.aliasOf)
-            .filter(({ entry }) => !entry.body.options.hidden)
-            .map(({ name }) => {
+        return htmlLines;
+    });
 
-                if (flags.aliases) {
-                    const aliases = [];
+    CommandService.defineCommand("fileinfo", {
+        options: {
+            description: "Outputs information about one or more files",
+            alias: "fi",
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "file_path",
+                description: "The paths of the files to get information about",
+                required: true,
+                variadic: true,
+                datatype: "file",
+                assumption: "full"
+            },
+        ]
+    }, ({args, nodes, flags}, os, signal) => {
+        const template = ConfigService.get("timestamp_template");
 
-                    for (const [n, e] of CommandService.commands) {
-                        if (e.body.aliasOf === name) aliases.push(n);
-                    }
+        return nodes.flatMap((file, index) => {
+            const lines = [
+            { type: "line", content: `File name : ${file.name}`, loc: "" },
+            { type: "line", content: `File type : ${file.type}`, loc: "" },
+            { type: "line", content: `     Size : ${file.getSize(true)}`, loc: "" },
+            { type: "line", content: `    Owner : ${file.owner}`, loc: "" },
+            { type: "line", content: `     Mode : ${FilesystemService.formatMode(file)} (${file.mode.toString(8).padStart(2, "0")})`, loc: "" },
+            { type: "line", content: `  Created : ${os.timestamp(template, file.created)}`, loc: "" },
+            { type: "line", content: ` Modified : ${os.timestamp(template, file.modified)}`, loc: "" },
+            { type: "line", content: ` Accessed : ${os.timestamp(template, file.accessed)}`, loc: "" },
+            ];
 
-                    if (aliases.length) {
-                        return `${name} (${aliases.join(", ")})`;
-                    }
+            // blank line between files
+            if(index > 0) lines.unshift({ type: "line", content: "", loc: "" });
+
+            return lines;
+        });
+    })
+
+    CommandService.defineCommand("remove", {
+        options: {
+            description: "Moves a file or directory to the trash. Anything removed from inside /trash is deleted for good",
+            alias: "rm",
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "path",
+                description: "The paths of the files or directories to remove",
+                required: true,
+                variadic: true,
+            },
+            {
+                type: "flag",
+                name: "recursive",
+                short: "r",
+                description: "Remove a directory and everything inside it",
+                required: false,
+                datatype: "boolean",
+            },
+            {
+                type: "flag",
+                name: "force",
+                short: "f",
+                description: "Remove protected paths such as /config and /data/palettes",
+                required: false,
+                datatype: "boolean",
+            },
+        ],
+    }, ({args, flags}, os, signal) => {
+        // a path that cannot be removed doesn't stop the others
+        return args.map(path => {
+            try {
+                const name = FilesystemService.remove(path, flags.recursive, flags.force);
+                return { type: "line", content: `Removed ${name}`, loc: "" };
+            } catch (e) {
+                if(e instanceof OSError) return { type: "error", content: e.message, loc: "" };
+                else {
+                    console.error(e);
+                    return { type: "error", content: `An unexpected error occurred. Check console for details.`, loc: "" };
                 }
-
-                return name;
-            })
-            .sort((a, b) => a.localeCompare(b));
-
-        return [
-            { type: "line", content: "Available commands:", loc: "" },
-            { type: "line", content: commands.join(", "), loc: "" }
-        ];
+            }
+        });
     });
 
-    CommandService.defineCommand("findtext", {
+    CommandService.defineCommand("trash", {
         options: {
-            description: "Find text",
-            alias: "find"
+            description: "Lists, restores or permanently deletes removed files and directories",
+            example: [
+                "trash list",
+                "trash restore 3",
+                "trash empty",
+            ]
         },
         schema: [
             {
                 type: "positional",
-                name: "text",
-                description: "The text to find",
+                name: "action",
+                description: "The action to perform",
                 required: true,
-                pipeableFrom: "text",
+                options: ["list", "restore", "empty"],
             },
             {
-                type: "flag",
-                name: "ignorecase",
-                short: "i",
-                description: "Ignore case when searching",
+                type: "positional",
+                name: "id",
+                description: "The id of the entry to restore, as shown by \"trash list\"",
                 required: false,
-                datatype: "boolean",
             },
             {
                 type: "flag",
-                name: "regex",
-                short: "r",
-                description: "Treat the search text as a regular expression",
+                name: "force",
+                short: "f",
+                description: "Overwrite anything that now exists at the restored path",
                 required: false,
                 datatype: "boolean",
             },
-            {
-                type: "flag",
-                name: "search_loc",
-                short: "l",
-                description: "Search in the location part of the line as well",
-                required: false,
-                datatype: "boolean",
-            }
-        ]
-    }, ({args, pipe, flags}, os, signal) => {
-        let input = null;
-
-        if(pipe) input = pipe;
-        else {
-            input = [];
-            const lines = Array.from(os.elem.querySelectorAll(".line")).map(x => Array.from(x.children));
-            lines.forEach((line, i) => {
-                input.push({
-                    type: "line",
-                    content: line[1].textContent,
-                    loc: line[0].textContent
-                })
-            })
-        }
+        ],
+    }, ({args, flags}, os, signal) => {
+        const action = args[0];
 
-        const searchText = args[0];
-        const ignoreCase = flags.ignorecase || false;
-        const isRegex = flags.regex || false;
+        if(action === "list"){
+            const items = FilesystemService.listTrash();
+            if(items.length === 0) return { type: "line", content: "-- Trash empty --", loc: "" };
 
-        let regex;
+            const template = ConfigService.get("timestamp_template");
+            const width = Math.max(...items.map(x => x.id.length));
 
-        if (isRegex) {
-            try {
-                regex = new RegExp(searchText, ignoreCase ? "gi" : "g");
-            } catch (e) {
-                return { type: "error", content: `Invalid regular expression: ${e.message}` };
-            }
-        } else {
-            const escaped = searchText.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-            regex = new RegExp(escaped, ignoreCase ? "gi" : "g");
+            return items.map(item => {
+                const kind = item.node instanceof OSDirectory ? "[DIR]" : "     ";
+                return { type: "line", content: `${kind} ${item.path} (removed ${os.timestamp(template, item.timestamp)})`, loc: item.id.padStart(width, " ") };
+            });
         }
 
-        const result = [];
-
-        for (let line of input) {
-            const text = line.content;
+        if(action === "restore"){
+            if(!args[1]) throw new OSError("An id is required to restore. Use \"trash list\" to see ids.");
+            const path = FilesystemService.restore(args[1], flags.force);
+            return { type: "line", content: `Restored ${path}`, loc: "" };
+        }
 
-            let matches = [...text.matchAll(regex)];
-            if (matches.length === 0) continue;
+        if(action === "empty"){
+            const count = FilesystemService.emptyTrash();
+            return { type: "line", content: `Permanently deleted ${count} item${count === 1 ? "" : "s"}`, loc: "" };
+        }
+    });
 
-            let out = "";
-            let last = 0;
+    CommandService.defineCommand("command", {
+        options: {
+            description: "Loads, unloads and lists commands defined by .js modules, which need the execute permission. Modules root owns in /bin are loaded on boot",
+            example: [
+                "command list",
+                "command load /bin/greet.js",
+                "command unload greet",
+                "command reload",
+            ]
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "action",
+                description: "The action to perform",
+                required: true,
+                options: ["list", "load", "unload", "reload"],
+            },
+            {
+                type: "positional",
+                name: "target",
+                description: "The module to load, or the command to unload",
+                required: false,
+            },
+        ],
+    }, ({args, flags}, os, signal) => {
+        const [action, target] = args;
 
-            for (let m of matches) {
-                const start = m.index;
-                const end = start + m[0].length;
+        if(action === "list"){
+            if(CommandService.plugins.size === 0) return { type: "line", content: "-- No commands loaded from modules --", loc: "" };
 
-                out += text.slice(last, start);
-                out += `<span class="highlight">${m[0]}</span>`;
+            const width = Math.max(...Array.from(CommandService.plugins.keys()).map(name => name.length));
+            return Array.from(CommandService.plugins).map(([name, path]) => ({ type: "line", content: `${name.padEnd(width, " ")} : ${path}`, loc: "" }));
+        }
 
-                last = end;
-            }
+        if(action === "reload"){
+            const errors = CommandService.reloadCommands();
+            return [
+                ...errors.map(error => ({ type: "error", content: error, loc: "" })),
+                { type: "line", content: `Reloaded commands, ${CommandService.plugins.size} from modules`, loc: "" },
+            ];
+        }
 
-            out += text.slice(last);
+        if(!target) throw new OSError(`A ${action === "load" ? "module path" : "command name"} is required to ${action}`);
 
-            result.push({
-                type: "html",
-                content: out,
-                loc: ""
-            });
+        if(action === "load"){
+            const name = CommandService.loadPlugin(target);
+            return { type: "line", content: `Loaded command "${name}"`, loc: "" };
         }
 
-        if(result.length === 0){
-            return { type: "error", content: "No matches found", loc: "" };
+        if(action === "unload"){
+            const name = CommandService.unloadPlugin(target);
+            return { type: "line", content: `Unloaded command "${name}"`, loc: "" };
         }
-
-        return result;
     });
 
-    CommandService.defineCommand("makefile", {
+    CommandService.defineCommand("copy", {
         options: {
-            description: "Creates a file",
-            alias: "mf",
+            description: "Copies a file or directory",
+            alias: "cp",
             example: [
-                "makefile myfile.txt",
-                "makefile path/myfile.txt",
+                "copy welcome.txt /documents",
+                "copy welcome.txt hello.txt",
+                "copy /documents/images /data/backup --force",
+                "copy /documents/*.txt /data",
             ]
         },
         schema: [
             {
                 type: "positional",
-                name: "path",
-                description: "The name of the file to create in [name].[filetype] format",
+                name: "source",
+                description: "The paths of the files or directories to copy",
                 required: true,
-            }
-        ]
+                variadic: true,
+            },
+            {
+                type: "positional",
+                name: "destination",
+                description: "The directory to copy into, or the new path when there is a single source",
+                required: true,
+            },
+            {
+                type: "flag",
+                name: "force",
+                short: "f",
+                description: "Overwrite the destination if it already exists",
+                required: false,
+                datatype: "boolean",
+            },
+        ],
     }, ({args, flags}, os, signal) => {
-        const path = args[0];
-
-        if(!path) return { type: "error", content: "File identifier is required", loc: "" };
-
-        const parts = path.split("/");
+        const sources = args.slice(0, -1);
+        const destination = args.at(-1);
 
-        let lastPart = parts.pop();
-
-        let [name, type] = lastPart.split(".");
-
-        if(!type) type = "txt";
+        checkMultipleDestination(sources, destination);
 
-        try {
-            FilesystemService.createFile(name, type, parts.join("/"), [""]);
-            return { type: "line", content: `Created file "${name}.${type}"`, loc: "" };
-        } catch (e) {
-            return { type: "error", content: e.message, loc: "" };
-        }   
-    })
+        return sources.map(source => {
+            const copy = FilesystemService.copy(source, destination, flags.force);
+            return { type: "line", content: `Copied to ${copy.fullPath()}`, loc: "" };
+        });
+    });
 
-    CommandService.defineCommand("makedirectory", {
+    CommandService.defineCommand("move", {
         options: {
-            description: "Creates a directory",
-            alias: "md",
+            description: "Moves or renames a file or directory",
+            alias: "mv",
             example: [
-                "makedirectory mydir",
-                "makedirectory /path/mydir"
+                "move welcome.txt /documents",
+                "move welcome.txt hello.txt",
+                "move /documents/images /data --force",
+                "move *.txt /documents",
             ]
         },
         schema: [
             {
                 type: "positional",
-                name: "directory_name",
-                description: "The name of the directory to create",
+                name: "source",
+                description: "The paths of the files or directories to move",
                 required: true,
+                variadic: true,
             },
-        ]
+            {
+                type: "positional",
+                name: "destination",
+                description: "The directory to move into, or the new path when there is a single source",
+                required: true,
+            },
+            {
+                type: "flag",
+                name: "force",
+                short: "f",
+                description: "Overwrite the destination if it already exists",
+                required: false,
+                datatype: "boolean",
+            },
+        ],
     }, ({args, flags}, os, signal) => {
-        const path = args[0];
+        const sources = args.slice(0, -1);
+        const destination = args.at(-1);
 
-        const parts = path.split("/");
-
-        const dirName = parts.pop();
-
-        if(!dirName) return { type: "error", content: "Directory name is required", loc: "" };
+        checkMultipleDestination(sources, destination);
 
-        try {
-            FilesystemService.createDirectory(dirName, parts.join("/"));
-            return { type: "line", content: `Created directory "${dirName}"`, loc: "" };
-        } catch (e) {
-            return { type: "error", content: e.message, loc: "" };
-        }
-    })
+        return sources.map(source => {
+            const oldPath = FilesystemService.resolvePath(source, "full")?.fullPath();
+            const node = FilesystemService.move(source, destination, flags.force);
+            return { type: "line", content: `Moved ${oldPath} to ${node.fullPath()}`, loc: "" };
+        });
+    });
 
-    CommandService.defineCommand("changedirectory", {
+    CommandService.defineCommand("pack", {
         options: {
-            description: "Changes the current working directory",
-            alias: "cd",
+            description: "Saves a directory and everything inside it to a compressed .swa archive",
             example: [
-                "changedirectory",
-                "changedirectory /path/to/directory",
-                "changedirectory ..",
-                "changedirectory ../.."
+                "pack /data/palettes palettes.swa",
+                "pack /documents/images /data/images",
             ]
         },
         schema: [
             {
                 type: "positional",
-                name: "path",
-                description: "The path of the directory to change to.",
+                name: "directory",
+                description: "The directory to archive",
                 required: true,
             },
-        ]
+            {
+                type: "positional",
+                name: "archive",
+                description: "The archive file to write. Gets .swa if it has no file type",
+                required: true,
+            },
+        ],
     }, ({args, flags}, os, signal) => {
-        const path = args[0];
-
-        try {
-            FilesystemService.setWorkingDirectory(path, "full");
-            return;
-        } catch (e) {
-            return { type: "error", content: e.message, loc: "" };
-        }
-    })
+        const archive = FilesystemService.pack(args[0], args[1]);
+        return { type: "line", content: `Packed into ${archive.fullPath()} (${archive.getSize(true)})`, loc: "" };
+    });
 
-    CommandService.defineCommand("list", {
+    CommandService.defineCommand("unpack", {
         options: {
-            description: "Lists files in the current working directory",
-            alias: "ls"
+            description: "Recreates the directory saved in a .swa archive",
+            example: [
+                "unpack palettes.swa /data --force",
+                "unpack /data/images.swa /documents/restored",
+                "unpack palettes.swa --list",
+            ]
         },
         schema: [
             {
-                type: "flag",
-                name: "recursive",
-                short: "r",
-                description: "List files recursively",
+                type: "positional",
+                name: "archive",
+                description: "The archive file to read",
+                required: true,
+            },
+            {
+                type: "positional",
+                name: "destination",
+                description: "The directory to unpack into, or the new path. The current directory if not given",
                 required: false,
-                datatype: "number",
-                default: 0
             },
             {
                 type: "flag",
-                name: "size",
-                short: "s",
-                description: "Show file sizes",
+                name: "list",
+                short: "l",
+                description: "Only list what the archive contains",
                 required: false,
                 datatype: "boolean",
             },
             {
                 type: "flag",
-                name: "spacing",
-                short: "sp",
-                description: "Set the spacing between tree branches when using recursive listing",
+                name: "force",
+                short: "f",
+                description: "Replace the directory if it already exists",
                 required: false,
-                datatype: "number",
-            }
-        ],
-    }, ({args, flags}, os, signal) => {
-        if(flags.recursive != undefined){
-            const recurseAmount = flags.recursive > 0 ? flags.recursive : Infinity;
-
-            const dir = FilesystemService.resolvePath(FilesystemService.getCurrentPath());
-
-            const lines = [];
-
-            if(flags.spacing && flags.spacing < 1) throw new OSError("Spacing must be at least 1");
-
-            const spacing = flags.spacing ?? ConfigService.get("default_list_recursive_spacing");
-
-            const listRecursive = (directory, prefix = "", level = 0) => {
-                if (level >= recurseAmount) return;
-
-                const entries = directory.list();
-
-                const lastIndex = entries.length - 1;
-
-                entries.forEach((entry, index) => {
-                    const isLast = index === lastIndex;
+                datatype: "boolean",
+            },
+        ],
+    }, ({args, flags}, os, signal) => {
+        if(flags.list){
+            const dir = FilesystemService.readArchive(args[0]);
+            const lines = [];
 
-                    // Tree characters
-                    const branch = (isLast ? "└" : "├") + "─".repeat(spacing - 1);
-                    const nextPrefix = prefix + (isLast ? (" " + " ".repeat(spacing)) : ("│" + ' '.repeat(spacing)));
+            const listNode = (node, path) => {
+                if(node instanceof OSFile){
+                    lines.push({ type: "line", content: `${path} - ${node.getSize(true)}`, loc: "" });
+                    return;
+                }
 
-                    if (entry instanceof OSDirectory) {
-                        lines.push({ type: "line", content: entry.name, loc: prefix + branch });
-                        listRecursive(entry, nextPrefix, level + 1);
-                    } else {
-                        let line = entry.fullName();
-                        if(flags.size) line += ` - ${entry.getSize(true)}`;
-                        lines.push({ type: "line", content: line, loc: prefix + branch })
-                    }
-                });
+                lines.push({ type: "line", content: `${path}/`, loc: "" });
+                node.list().forEach(child => listNode(child, `${path}/${child instanceof OSFile ? child.fullName() : child.name}`));
             };
 
-            listRecursive(dir);
-
+            listNode(dir, dir.name);
             return lines;
         }
 
-        const children = FilesystemService.resolvePath(FilesystemService.getCurrentPath()).children;
-        const lines = [];
-
-        children.entries().forEach(([name, child]) => {
-            if (child instanceof OSDirectory){
-                lines.push({ type: "line", content: ` [DIR] ${child.name}`, loc: "" });
-            }
-        })
-        children.entries().forEach(([name, child]) => {
-            if(child instanceof OSFile){
-                let line = `       ${child.fullName()}`;
-                if(flags.size) line += ` (${child.getSize(true)})`;
-                lines.push({ type: "line", content: line, loc: "" });
-            }
-        })
-
-        if(lines.length == 0){
-            lines.push({ type: "line", content: "-- Directory empty --", loc: "" });
-        }
-        
-        return lines;
-    })
+        const dir = FilesystemService.unpack(args[0], args[1], flags.force);
+        return { type: "line", content: `Unpacked to ${dir.fullPath()}`, loc: "" };
+    });
 
-    CommandService.defineCommand("peek", {
+    CommandService.defineCommand("import", {
         options: {
-            description: "Read a file",
-            alias: "p"
+            description: "Copies a file from your computer. Images are converted to img, anything else is stored as text",
+            example: [
+                "import",
+                "import /documents/images",
+                "import /documents/notes.txt --force",
+            ]
         },
         schema: [
             {
                 type: "positional",
-                name: "file_path",
-                description: "The path of the file to read",
-                required: true,
+                name: "destination",
+                description: "The directory to import into, or the new file path. The current directory if not given",
+                required: false,
             },
             {
                 type: "flag",
-                name: "raw",
-                short: "r",
-                description: "Outputs raw file content",
+                name: "force",
+                short: "f",
+                description: "Replace the file if it already exists",
                 required: false,
                 datatype: "boolean",
             },
-        ]
-    }, ({args, pipe, flags}, os, signal) => {
-        const path = args[0];
+        ],
+    }, async ({args, flags}, os, signal) => {
+        const file = await HostService.importFile(args[0], flags.force, signal);
 
-        const file = FilesystemService.resolvePath(path, "full");
-        if(!(file instanceof OSFile)) throw new OSError(`file "${path}" could not be found`);
+        if(!file) return { type: "line", content: "Nothing was imported", loc: "" };
+        return { type: "line", content: `Imported ${file.fullPath()} (${file.getSize(true)})`, loc: "" };
+    });
 
-        function outputRaw(file) {
-            const lines = [{ type: "line", content: `--- ${flags.raw ? "Raw " : ""}Contents of "${file.fullName()}" ---`, loc: "" }];
-            file.read().forEach(line => {
-                lines.push({ type: "line", content: line, loc: ":" });
-            });
-            return lines;
-        }
+    CommandService.defineCommand("export", {
+        options: {
+            description: "Downloads a file to your computer",
+            example: [
+                "export /welcome.txt",
+                "export doc/i/t/p.img --as=png",
+            ]
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "path",
+                description: "The file to download",
+                required: true,
+            },
+            {
+                type: "flag",
+                name: "as",
+                description: "Download img and bmap files as png instead of their raw content",
+                required: false,
+                datatype: "string",
+            },
+        ],
+    }, async ({args, flags}, os, signal) => {
+        if(flags.as !== undefined && flags.as !== "png") throw new OSError(`Unknown export format: "${flags.as}". Expected "png"`);
 
-        try {
-            if(flags.raw) return outputRaw(file);
-            
-            return outputRaw(file);
-        } catch(e) {
-            console.log(e);
-            if(e instanceof OSError) return { type: "error", content: e.message, loc: "" };
-            else {
-                console.error(e);
-                return { type: "error", content: `An unexpected error occurred while reading the file. Check console for details.`, loc: "" };
-            }
-        }
+        const name = await HostService.exportFile(args[0], flags.as ?? "text");
+        return { type: "line", content: `Exported ${name}`, loc: "" };
     });
 
-    CommandService.defineCommand("view", {
+    CommandService.defineCommand("chmod", {
         options: {
-            description: "View an image file",
-            alias: "v"
+            description: "Changes the permissions of a file or directory. Modes are the owner's rwx followed by everyone else's",
+            example: [
+                "chmod 64 /documents/filetypes.txt",
+                "chmod u+w /config/user.conf",
+                "chmod o-rwx,u=rwx /documents --recursive",
+            ]
         },
         schema: [
             {
                 type: "positional",
-                name: "file_path",
-                description: "The path of the file to read",
+                name: "mode",
+                description: "Two octal digits (\"64\" is rw-r--) or symbolic changes such as \"u+w\", \"o-r\" or \"a=rx\"",
+                required: true,
+            },
+            {
+                type: "positional",
+                name: "path",
+                description: "The path of the file or directory to change",
                 required: true,
             },
             {
                 type: "flag",
-                name: "legacy",
-                short: "l",
-                description: "Use legacy rendering for images. Slower, but can support larger pixel sizes.",
+                name: "recursive",
+                short: "r",
+                description: "Also change everything inside a directory",
                 required: false,
                 datatype: "boolean",
             },
+        ],
+    }, ({args, flags}, os, signal) => {
+        const count = FilesystemService.changePermissions(args[1], { mode: args[0] }, flags.recursive);
+        return { type: "line", content: `Changed permissions of ${count} item${count === 1 ? "" : "s"}`, loc: "" };
+    });
+
+    CommandService.defineCommand("chown", {
+        options: {
+            description: "Gives a file or directory to another owner",
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "owner",
+                description: "The new owner",
+                required: true,
+            },
+            {
+                type: "positional",
+                name: "path",
+                description: "The path of the file or directory to change",
+                required: true,
+            },
             {
                 type: "flag",
-                name: "pixelsize",
-                short: "p",
-                description: "Set the pixel size",
+                name: "recursive",
+                short: "r",
+                description: "Also change everything inside a directory",
                 required: false,
-                datatype: "number",
-                default: 1
+                datatype: "boolean",
             },
-        ]
+        ],
     }, ({args, flags}, os, signal) => {
-        const path = args[0];
+        if(!FilesystemService.validationRegex.test(args[0])) throw new OSError(`Invalid owner name: "${args[0]}"`);
+        if(UserService.getAccounts().length > 0 && !UserService.getAccount(args[0])) throw new OSError(`Unknown user: "${args[0]}"`);
 
-        const file = FilesystemService.resolvePath(path, "full");
-        if(!(file instanceof OSFile)) throw new OSError(`file "${path}" could not be found`);
-        const fileData = file.read();
+        const count = FilesystemService.changePermissions(args[1], { owner: args[0] }, flags.recursive);
+        return { type: "line", content: `Changed owner of ${count} item${count === 1 ? "" : "s"} to ${args[0]}`, loc: "" };
+    });
 
-        if(["bmap", "img"].includes(file.type)){
+    CommandService.defineCommand("whoami", {
+        options: {
+            description: "Prints the name of the current user",
+        },
+        schema: [],
+    }, ({args, flags}, os, signal) => {
+        return { type: "line", content: FilesystemService.currentUser ?? "Not logged in", loc: "" };
+    });
 
-            let imageData = [];
+    CommandService.defineCommand("login", {
+        options: {
+            description: "Logs out of every session and asks for a user name and password. The rest of the line runs as the new user",
+        },
+        schema: [],
+    }, async ({args, flags}, os, signal) => {
+        if(UserService.getAccounts().length === 0) throw new OSError(`No accounts found in ${UserService.passwdPath}`);
 
-            if(file.type === "img"){
-                imageData = ImageReader.decodeImage(file.read());
-            } else if(file.type === "bmap"){
+        const name = await os.ask("login:", false, signal);
+        const password = await os.ask("password:", true, signal);
 
-                let width = parseInt(fileData[1]);
-                let height = parseInt(fileData[2]);
-                let data = fileData.slice(3).map(x => x.split(" ").map(x => "#"+x))
+        try {
+            await UserService.login(name.trim(), password);
+            await os.setRootPassword(signal);
+        } catch (e) {
+            // a failed login still ends every session, so the command line asks again
+            if(e instanceof OSError || e.name === "AbortError") UserService.endSessions();
+            throw e;
+        }
 
-                if(data.length !== height) throw new OSError(`Invalid bmap file: height does not match data length`);
-                if(data[0].length !== width) throw new OSError(`Invalid bmap file: width does not match data width`);
-                if(data.some(row => row.length !== width)) throw new OSError(`Invalid bmap file: width does not match data width`);
+        const warning = UserService.passwordWarning();
+        if(warning) return { type: "line", content: warning, loc: "!" };
+    });
 
-                imageData = data;
-            }
+    CommandService.defineCommand("logout", {
+        options: {
+            description: "Ends the current session, returning to the previous user or the login prompt",
+        },
+        schema: [],
+    }, ({args, flags}, os, signal) => {
+        const name = UserService.logout();
+        return { type: "line", content: `Logged out ${name}`, loc: "" };
+    });
 
-            return [{ type: "pixel_matrix", content: imageData, legacy: flags.legacy, pixelSize: flags.pixelsize }];
-        } else {
-            return { type: "error", content: `Unsupported file type: "${file.type}".`, loc: "" };
+    CommandService.defineCommand("su", {
+        options: {
+            description: "Runs as another user until logout. Asks for their password unless you are root",
+            example: [
+                "su guest",
+                "su",
+            ]
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "user",
+                description: "The user to switch to, root if not given",
+                required: false,
+            },
+        ],
+    }, async ({args, flags}, os, signal) => {
+        const name = args[0] ?? "root";
+
+        if(!UserService.getAccount(name)) throw new OSError(`Unknown user: "${name}"`);
+
+        if(FilesystemService.currentUser === "root"){
+            await UserService.switchUser(name);
+            return;
         }
-    })
 
-    CommandService.defineCommand("time", {
+        await UserService.switchUser(name, await os.ask("password:", true, signal));
+    });
+
+    CommandService.defineCommand("useradd", {
         options: {
-            description: "Outputs the current timestamp",
-            alias: "time",
+            description: "Creates an account with its own home directory and user.conf. Asks for a password, leave it empty to allow logging in without one",
         },
         schema: [
             {
                 type: "positional",
-                name: "template",
-                description: "The template to use for the timestamp. If not provided, the default template from the config will be used.",
+                name: "user",
+                description: "The name of the new user",
+                required: true,
+            },
+        ],
+    }, async ({args, flags}, os, signal) => {
+        const name = args[0];
+
+        if(UserService.getAccount(name)) throw new OSError(`User "${name}" already exists`);
+
+        await UserService.addUser(name, await os.ask("password:", true, signal));
+        return { type: "line", content: `Created user ${name}`, loc: "" };
+    });
+
+    CommandService.defineCommand("passwd", {
+        options: {
+            description: "Changes a password. Users can change their own, root can change anyone's without knowing the old one",
+            example: [
+                "passwd",
+                "passwd guest",
+            ]
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "user",
+                description: "The account to change, the current user if not given",
                 required: false,
             },
-        ]
-    }, ({args, flags}, os, signal) => {
-        const template = args[0] || ConfigService.get("timestamp_template");
-        return { type: "line", content: os.timestamp(template), loc: "" };
-    })
+        ],
+    }, async ({args, flags}, os, signal) => {
+        const user = FilesystemService.currentUser;
+        const name = args[0] ?? user;
 
-    CommandService.defineCommand("colortest", {
+        if(!UserService.getAccount(name)) throw new OSError(`Unknown user: "${name}"`);
+        if(user !== "root" && user !== name) throw new OSError(`Permission denied: cannot change the password of "${name}"`);
+
+        if(user !== "root" && !await UserService.verify(name, await os.ask("current password:", true, signal))){
+            throw new OSError("Authentication failure");
+        }
+
+        const password = await os.ask("new password:", true, signal);
+        if(password !== await os.ask("retype new password:", true, signal)) throw new OSError("Passwords do not match");
+
+        await UserService.setPassword(name, password);
+        return { type: "line", content: `Changed password of ${name}`, loc: "" };
+    });
+
+    CommandService.defineCommand("config", {
         options: {
-            description: "Outputs a test of all colors in the palette",
-            hidden: true
+            description: "Gets or sets configuration values",
+            alias: "cfg",
         },
-        schema: [],
+        schema: [
+            {
+                type: "positional",
+                name: "action",
+                description: "The action to perform",
+                required: true,
+                options: ["list", "reload"],
+            },
+        ],
     }, ({args, flags}, os, signal) => {
-        const paletteKey = ConfigService.get("color_palette");
-
-        const palette = FilesystemService.resolvePath(`/data/palettes/${paletteKey}.conf`, "full");
+        const action = args[0];
 
-        if(!palette) throw new OSError(`Palette file not found at /data/palettes/${paletteKey}.conf`);
-        if(!(palette instanceof OSFile)) throw new OSError(`Palette file not found at /config/palette.conf`);
+        if(action === "list"){
+            const config = ConfigService.getAll();
+            const lines = [];
 
-        const htmlLines = [];
+            const maxKeyLength = Math.max(...Object.keys(config).map(k => k.length));
 
-        const paletteFile = new SwagObjectParser(palette.read()).parse();
+            for(const [key, value] of Object.entries(config)){
+                lines.push({ type: "line", content: `${key.padEnd(maxKeyLength, " ")} : ${value}`, loc: "" });
+            }
+            
+            return lines;
+        }
 
-        function getContrastingColor(hex) {
-            hex = hex.replace("#", "");
+        if(action === "reload"){
+            ConfigService.reload();
+            return { type: "line", content: "Configuration reloaded", loc: "" };
+        }
+    });
 
-            let r = parseInt(hex.substring(0, 2), 16) / 255;
-            let g = parseInt(hex.substring(2, 4), 16) / 255;
-            let b = parseInt(hex.substring(4, 6), 16) / 255;
+    CommandService.defineCommand("set", {
+        options: {
+            description: "Sets a session variable that can be used in commands as $NAME or ${NAME}",
+            example: [
+                "set img=/documents/images/test",
+                "set greeting=\"hello world\"",
+            ]
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "assignment",
+                description: "The variable to set in NAME=value format",
+                required: true,
+            },
+        ],
+    }, ({args, flags}, os, signal) => {
+        const assignment = args[0];
+        const separator = assignment.indexOf("=");
 
-            [r, g, b] = [r, g, b].map(c =>
-                c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4)
-            );
+        if(separator === -1) throw new OSError(`Invalid assignment: "${assignment}". Must be in the format "NAME=value"`);
 
-            const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+        const name = assignment.slice(0, separator);
+        let value = assignment.slice(separator + 1);
 
-            return luminance > 0.179 ? "#000000" : "#ffffff";
+        if((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))){
+            value = value.slice(1, -1);
         }
 
-        const pad = Math.max(...Object.entries(paletteFile).map(x=>x[1].length));
-
-        const pairs = {};
+        EnvironmentService.set(name, value);
+    });
 
-        let padding = '';
-        
-        for(const [key, value] of Object.entries(paletteFile)){
+    CommandService.defineCommand("alias", {
+        options: {
+            description: "Lists aliases, shows one, or defines one in NAME=command format. Aliases are saved to ~/aliases.conf",
+            example: [
+                "alias",
+                "alias ll=\"list --size -r=1\"",
+                "alias todo='grep -n TODO $@ --recursive'",
+                "alias ll",
+            ]
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "definition",
+                description: "NAME=command to define an alias, or NAME to show one. In the command, $@ is replaced by the alias's arguments and $1, $2, ... by single ones. Use single quotes so they are not expanded as variables",
+                required: false,
+            },
+        ],
+    }, ({args, flags}, os, signal) => {
+        const definition = args[0];
+        const aliases = AliasService.getAll();
 
-            const [category, type] = key.split("_");
+        const format = (name) => ({ type: "line", content: `${name}='${aliases[name]}'`, loc: "" });
 
-            if(pairs[category] == undefined) pairs[category] = {};
+        if(definition === undefined){
+            const names = Object.keys(aliases).sort((a, b) => a.localeCompare(b));
+            if(names.length === 0) return { type: "line", content: "-- No aliases defined --", loc: "" };
+            return names.map(format);
+        }
 
-            padding = " ".repeat(pad - value.length + 10);
+        const separator = definition.indexOf("=");
 
-            if(type === "background") {
-                pairs[category].background = value;
-                htmlLines.push({type: "html", content: `${value.padStart(pad, " ")} : <span style="color: ${getContrastingColor(value)}; background-color: ${value}">${key}</span>`})
-            } else if(type === "color") {
-                pairs[category].color = value;
-                htmlLines.push({type: "html", content: `${value.padStart(pad, " ")} : <span style="color: ${value}; background-color: ${getContrastingColor(value)}">${key}</span>`})
-            }
+        if(separator === -1){
+            if(aliases[definition] === undefined) throw new OSError(`Unknown alias: "${definition}"`);
+            return format(definition);
         }
 
-        htmlLines.push({type: "html", content: `<br>`})
-
+        const name = definition.slice(0, separator);
+        let command = definition.slice(separator + 1);
 
-        for(const [category, pair] of Object.entries(pairs)){
-            if(pair.background && pair.color){
-                htmlLines.push({type: "html", loc: padding,  content: `<span style="color: ${pair.color}; background-color: ${pair.background}">${category}</span>`})
-            }
+        if((command.startsWith('"') && command.endsWith('"')) || (command.startsWith("'") && command.endsWith("'"))){
+            command = command.slice(1, -1);
         }
 
-        return htmlLines;
+        AliasService.set(name, command);
     });
 
-    CommandService.defineCommand("fileinfo", {
+    CommandService.defineCommand("unalias", {
         options: {
-            description: "Outputs information about a file",
-            alias: "fi",
+            description: "Removes aliases",
+            example: [
+                "unalias ll",
+            ]
         },
         schema: [
             {
                 type: "positional",
-                name: "file_path",
-                description: "The path of the file to get information about",
+                name: "name",
+                description: "The aliases to remove",
                 required: true,
-                assumption: "full"
+                variadic: true,
             },
-        ]
+        ],
     }, ({args, flags}, os, signal) => {
-        const path = args[0];
+        for(const name of args){
+            AliasService.remove(name);
+        }
+    });
 
-        const file = FilesystemService.resolvePath(path, "full");
+    CommandService.defineCommand("unset", {
+        options: {
+            description: "Removes a session variable",
+        },
+        schema: [
+            {
+                type: "positional",
+                name: "name",
+                description: "The name of the variable to remove",
+                required: true,
+            },
+        ],
+    }, ({args, flags}, os, signal) => {
+        EnvironmentService.unset(args[0]);
+    });
 
-        if(!(file instanceof OSFile)) return { type: "error", content: `"${path}" is not a file`, loc: "" };
+    CommandService.defineCommand("env", {
+        options: {
+            description: "Lists all session variables",
+        },
+        schema: [],
+    }, ({args, flags}, os, signal) => {
+        const variables = EnvironmentService.getAll();
+        const maxNameLength = Math.max(...Object.keys(variables).map(k => k.length));
 
-        return [
-            { type: "line", content: `File name : ${file.name}`, loc: "" },
-            { type: "line", content: `File type : ${file.type}`, loc: "" },
-            { type: "line", content: `     Size : ${file.getSize(true)}`, loc: "" },
-        ]
-    })
+        return Object.entries(variables).map(([name, value]) => {
+            return { type: "line", content: `${name.padEnd(maxNameLength, " ")} = ${value}`, loc: "" };
+        });
+    });
 
-    CommandService.defineCommand("remove", {
+    CommandService.defineCommand("history", {
         options: {
-            description: "Removes a file or directory",
-            alias: "rm",
+            description: "Lists previously entered commands. Use !! to rerun the last command and !n to rerun command n",
+            alias: "hist",
+        },
+        schema: [
+            {
+                type: "flag",
+                name: "clear",
+                short: "c",
+                description: "Clear the command history",
+                required: false,
+                datatype: "boolean",
+            },
+            {
+                type: "flag",
+                name: "lines",
+                short: "l",
+                description: "Last n commands to show",
+                required: false,
+                datatype: "number",
+            },
+        ],
+    }, ({args, flags}, os, signal) => {
+        if(flags.clear){
+            HistoryService.clear();
+            return;
+        }
+
+        if(flags.lines !== undefined && flags.lines < 1) throw new OSError("Lines must be at least 1");
+
+        const entries = HistoryService.getEntries();
+        const start = flags.lines !== undefined ? Math.max(0, entries.length - flags.lines) : 0;
+        const width = String(entries.length).length;
+
+        return entries.slice(start).map((entry, i) => {
+            return { type: "line", content: entry, loc: String(start + i + 1).padStart(width, " ") };
+        });
+    });
+
+    CommandService.defineCommand("run", {
+        options: {
+            description: "Runs a script file. Each line is a command, lines starting with # are comments. Arguments are available in the script as $1, $2, ...",
+            example: [
+                "run /config/autostart.sh",
+                "run script.sh /documents --echo",
+            ]
         },
         schema: [
             {
                 type: "positional",
                 name: "path",
-                description: "The path of the file or directory to remove",
+                description: "The path of the script to run",
                 required: true,
-            }
-        ],
-    }, ({args, flags}, os, signal) => {
+            },
+            {
+                type: "positional",
+                name: "arguments",
+                description: "Arguments passed to the script as $1, $2, ...",
+                required: false,
+                variadic: true,
+            },
+            {
+                type: "flag",
+                name: "echo",
+                short: "e",
+                description: "Print each line before running it",
+                required: false,
+                datatype: "boolean",
+            },
+            {
+                type: "flag",
+                name: "continue",
+                short: "c",
+                description: "Keep running the script when a line fails",
+                required: false,
+                datatype: "boolean",
+            },
+        ]
+    }, async ({args, flags}, os, signal) => {
         const path = args[0];
 
+        const file = FilesystemService.resolvePath(path, "full");
+        if(!(file instanceof OSFile)) throw new OSError(`file "${path}" could not be found`);
+
+        if(EnvironmentService.scopes.length >= 16) throw new OSError(`Cannot run "${file.fullPath()}": too many nested scripts`);
+
+        const lines = file.read().slice();
+        let failedLine = null;
+
+        EnvironmentService.pushScope([file.fullPath(), ...args.slice(1)]);
+
         try {
-            const name = FilesystemService.remove(path);
-            return { type: "line", content: `Removed ${name}`, loc: "" };
-        } catch (e) {
-            if(e instanceof OSError) return { type: "error", content: e.message, loc: "" };
-            else {
-                console.error(e);
-                return { type: "error", content: `An unexpected error occurred. Check console for details.`, loc: "" };
+            for (let i = 0; i < lines.length; i++) {
+                const line = lines[i].trim();
+                if (line === "" || line.startsWith("#")) continue;
+
+                if (flags.echo) OutputService.add({ type: "line", content: line, loc: "+" });
+
+                try {
+                    const chain = os.parseCommand(line);
+                    for (let link = chain; link; link = link.next) link.interactive = false;
+
+                    await CommandExecService.executeSequence(chain, signal);
+                } catch (e) {
+                    if(!(e instanceof OSError)) throw e;
+                    OutputService.add({ type: "error", content: e.message });
+                    CommandExecService.lastStatus = 1;
+                }
+
+                if (signal.aborted) throw new DOMException("Aborted", "AbortError");
+
+                if (CommandExecService.lastStatus !== 0) {
+                    failedLine ??= i + 1;
+                    if (!flags.continue) break;
+                }
             }
+        } finally {
+            EnvironmentService.popScope();
+        }
+
+        if (failedLine !== null) {
+            return { type: "error", content: `${file.fullPath()}: ${flags.continue ? "first failure" : "stopped"} at line ${failedLine}`, loc: "" };
         }
     });
 
-    CommandService.defineCommand("config", {
+    CommandService.defineCommand("snapshot", {
         options: {
-            description: "Gets or sets configuration values",
-            alias: "cfg",
+            description: "Manages the saved filesystem snapshot that is restored on boot",
+            alias: "snap",
         },
         schema: [
             {
                 type: "positional",
                 name: "action",
-                description: "The action to perform",
+                description: "The action to perform. \"clear\" deletes the snapshot so the default filesystem is created on next boot",
                 required: true,
-                options: ["list", "reload"],
+                options: ["save", "clear", "status"],
             },
         ],
     }, ({args, flags}, os, signal) => {
         const action = args[0];
 
-        if(action === "list"){
-            const config = ConfigService.getAll();
-            const lines = [];
+        if(!PersistenceService.enabled) throw new OSError("PersistenceService is disabled");
 
-            const maxKeyLength = Math.max(...Object.keys(config).map(k => k.length));
+        if(action === "save"){
+            PersistenceService.flush(true);
+            return { type: "line", content: "Filesystem snapshot saved", loc: "" };
+        }
 
-            for(const [key, value] of Object.entries(config)){
-                lines.push({ type: "line", content: `${key.padEnd(maxKeyLength, " ")} : ${value}`, loc: "" });
-            }
-            
-            return lines;
+        if(action === "clear"){
+            PersistenceService.clear();
+            PersistenceService.disable();
+            return { type: "line", content: "Filesystem snapshot cleared. Persistence is disabled until the next boot.", loc: "" };
         }
 
-        if(action === "reload"){
-            ConfigService.reload();
-            return { type: "line", content: "Configuration reloaded", loc: "" };
+        if(action === "status"){
+            return [
+                { type: "line", content: `Snapshot : ${PersistenceService.hasSnapshot() ? "saved" : "none"}`, loc: "" },
+                { type: "line", content: `Changes  : ${PersistenceService.dirty ? "unsaved" : "saved"}`, loc: "" },
+            ];
         }
     });
 
@@ -2542,18 +7216,15 @@ function defineCommands(){
                 name: "file_path",
                 description: "The path of the file to edit",
                 required: true,
+                datatype: "file",
             }
         ]
-    }, ({args, flags}, os, signal) => {
-        const path = args[0];
+    }, ({args, nodes, flags}, os, signal) => {
+        const file = nodes[0];
 
         // if in a stream, use the stream content as what to edit
 
         try {
-            const file = FilesystemService.resolvePath(path, "full");
-            if(!(file instanceof OSFile)) throw new OSError(`"${path}" is not a file`);
-
-
             CommandExecService.postpone();
             os.openEditor(file);
         } catch (e) {
@@ -2614,29 +7285,282 @@ function defineCommands(){
             const msg = entry.data.message;
             let line = '';
 
-            line += `[${time}]`;
+            line += `[${time}]`;
+
+            if(entry.type === "note"){
+                line += " [NOTE]";
+            }
+
+            line += `${DiagnosticService.separator}${msg}`;
+
+            if (line === lastLine) {
+                count++;
+            } else {
+                pushLast();
+                lastLine = line;
+                count = 1;
+            }
+        }
+
+        pushLast();
+
+        logFile.append(output);
+    });
+
+    CommandService.bulkRegister(["print", "obuffer", "commandline", "linecount", "help", "man", "clear", "service", "findtext", "makefile", "makedirectory", "list", "changedirectory", "peek", "time", "colortest", "fileinfo", "remove", "config", "editfile", "diagnosticflush", "view", "snapshot", "set", "unset", "alias", "unalias", "env", "history", "run", "copy", "move", "trash", "command", "chmod", "chown", "whoami", "login", "logout", "su", "useradd", "passwd", "findfile", "grep", "head", "tail", "sort", "uniq", "wc", "cut", "tr", "write", "append", "tee", "diff", "pack", "unpack", "import", "export"]);
+}
+
+/**
+ * Copying or moving several sources at once only works into a directory that already exists
+ * @param {string[]} sources 
+ * @param {string} destination 
+ */
+function checkMultipleDestination(sources, destination){
+    if(sources.length < 2) return;
+
+    if(!(FilesystemService.resolvePath(destination, "none") instanceof OSDirectory)){
+        throw new OSError(`Destination "${destination}" must be an existing directory when there are several sources`);
+    }
+}
+
+/**
+ * The text of every line of piped output
+ * @param {object[]|object} pipe 
+ * @returns {string[]}
+ */
+function pipeToLines(pipe){
+    return [pipe].flat().map(line => line.type === "html" ? htmlToText(line.content) : String(line.content));
+}
+
+/**
+ * What a text command works on: the file at path if one is given, otherwise the piped output
+ * @param {string|undefined} path 
+ * @param {object[]|object|null} pipe 
+ * @returns {string[]}
+ */
+function inputLines(path, pipe){
+    if(path !== undefined){
+        const file = FilesystemService.resolvePath(path, "full");
+        if(!(file instanceof OSFile)) throw new OSError(`file "${path}" could not be found`);
+        return file.read();
+    }
+
+    if(!pipe) throw new OSError("No input. Give a file path or pipe output into this command");
+    return pipeToLines(pipe);
+}
+
+function toLines(lines){
+    return lines.map(line => ({ type: "line", content: line, loc: "" }));
+}
+
+/**
+ * Line diff using Myers' algorithm, which takes time and memory by how much the sides differ instead of by their sizes
+ * @param {string[]} a 
+ * @param {string[]} b 
+ * @param {number} maxChanges refuse to diff sides with more changed lines than this, their edit history would take too much memory
+ * @returns {{type: " "|"-"|"+", line: string, a: number, b: number}[]} every line of both sides in order. a and b are how many lines of each side come before it
+ */
+function diffLines(a, b, maxChanges = 2000){
+    // lines shared at the start and end don't need the search
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+    const midA = a.slice(prefix, a.length - suffix);
+    const midB = b.slice(prefix, b.length - suffix);
+    const n = midA.length;
+    const m = midB.length;
+
+    // v[k + offset] is the furthest x reached on diagonal k = x - y. trace[d] is the part of v step d started from
+    const offset = n + m + 1;
+    const v = new Int32Array(2 * offset + 1);
+    const trace = [];
+
+    let changes = 0;
+
+    search: for (; changes <= n + m; changes++) {
+        if (changes > maxChanges) throw new OSError(`The files differ in more than ${maxChanges} lines, which is too many to compare`);
+
+        const d = changes;
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+            let y = x - k;
+
+            while (x < n && y < m && midA[x] === midB[y]) {
+                x++;
+                y++;
+            }
+
+            v[offset + k] = x;
+            if (x >= n && y >= m) break search;
+        }
+    }
+
+    // walk back from the end, one change per step
+    const reversed = [];
+    let x = n;
+    let y = m;
+
+    for (let d = changes; d >= 0; d--) {
+        const previous = (k) => trace[d][k + d + 1];
+
+        const k = x - y;
+        const prevK = k === -d || (k !== d && previous(k - 1) < previous(k + 1)) ? k + 1 : k - 1;
+        const prevX = previous(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            x--;
+            y--;
+            reversed.push({ type: " ", line: midA[x], a: prefix + x, b: prefix + y });
+        }
+
+        if (d === 0) break;
+
+        if (x === prevX) reversed.push({ type: "+", line: midB[prevY], a: prefix + x, b: prefix + prevY });
+        else reversed.push({ type: "-", line: midA[prevX], a: prefix + prevX, b: prefix + y });
+
+        x = prevX;
+        y = prevY;
+    }
+
+    const ops = [];
+
+    for (let k = 0; k < prefix; k++) ops.push({ type: " ", line: a[k], a: k, b: k });
+    for (let k = reversed.length - 1; k >= 0; k--) ops.push(reversed[k]);
+    for (let k = suffix; k > 0; k--) ops.push({ type: " ", line: a[a.length - k], a: a.length - k, b: b.length - k });
+
+    return ops;
+}
+
+/**
+ * Wraps every match of regex in a highlight span, escaping the rest of the text
+ * @param {string} text 
+ * @param {RegExp} regex must have the "g" flag
+ * @returns {string|null} html for an html output line, or null if nothing matched
+ */
+function highlightMatches(text, regex){
+    const matches = [...String(text).matchAll(regex)].filter(m => m[0].length > 0);
+    if (matches.length === 0) return null;
+
+    let out = "";
+    let last = 0;
+
+    for (const m of matches) {
+        out += escapeHtml(text.slice(last, m.index));
+        out += `<span class="highlight">${escapeHtml(m[0])}</span>`;
+        last = m.index + m[0].length;
+    }
+
+    return out + escapeHtml(text.slice(last));
+}
+
+function escapeHtml(text){
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/**
+ * The text of an html output line, for writing it somewhere that is not the terminal
+ * @param {string} html 
+ * @returns {string}
+ */
+function htmlToText(html){
+    return String(html).replace(/<[^>]*>/g, "").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+}
+
+/**
+ * The manual of a command, built from its schema, with the prose in /usr/man/<name>.txt added if there is any
+ * @param {string} name the command, not one of its aliases
+ * @param {{body: object}} entry 
+ * @returns {string[]}
+ */
+function manualPage(name, entry){
+    const { options = {}, schema = [] } = entry.body;
+
+    const positionals = schema.filter(s => s.type === "positional");
+    const flags = schema.filter(s => s.type === "flag" || s.type === "option");
+
+    const flagNames = (param) => [param.short && `-${param.short}`, param.name && `--${param.name}`].filter(Boolean).join("|");
+
+    const synopsis = [name];
+
+    for (const param of positionals) {
+        let part = param.options ? param.options.join("|") : param.name;
+        if (param.variadic) part += "...";
+        synopsis.push(param.required ? `<${part}>` : `[${part}]`);
+    }
+
+    for (const param of flags) {
+        const part = param.datatype === "boolean" ? flagNames(param) : `${flagNames(param)}=<${param.datatype}>`;
+        synopsis.push(param.required ? part : `[${part}]`);
+    }
+
+    const details = (param) => {
+        const out = [`        ${param.description || "No description available"}`];
+
+        if (param.datatype && param.type === "positional") out.push(`        Datatype: ${param.datatype}`);
+        out.push(`        Required: ${param.required ? "Yes" : "No"}`);
+
+        if (param.variadic) {
+            const { min, max } = CommandService.variadicBounds(param);
+            out.push(`        Values: ${max === Infinity ? `${min} or more` : min === max ? `${min}` : `${min} to ${max}`}`);
+        }
+
+        if (param.options) out.push(`        One of: ${param.options.join(", ")}`);
+        if (param.default !== undefined) out.push(`        Default: ${param.default}`);
+
+        return out;
+    };
+
+    const lines = [
+        "NAME",
+        `    ${name} - ${options.description || "No description available"}`,
+        "",
+        "SYNOPSIS",
+        `    ${synopsis.join(" ")}`,
+    ];
+
+    const aliases = Array.from(CommandService.commands).filter(([, e]) => e.body.aliasOf === name).map(([alias]) => alias);
+
+    if (aliases.length) lines.push("", "ALIASES", `    ${aliases.join(", ")}`);
+
+    if (positionals.length) {
+        lines.push("", "ARGUMENTS");
+        positionals.forEach(param => lines.push(`    ${param.name}`, ...details(param)));
+    }
+
+    if (flags.length) {
+        lines.push("", "FLAGS");
+        flags.forEach(param => lines.push(`    ${flagNames(param)}${param.datatype === "boolean" ? "" : `=<${param.datatype}>`}`, ...details(param)));
+    }
 
-            if(entry.type === "note"){
-                line += " [NOTE]";
-            }
+    if (options.example?.length) {
+        lines.push("", "EXAMPLES");
+        options.example.forEach(example => lines.push(`    ${example}`));
+    }
 
-            line += `${DiagnosticService.separator}${msg}`;
+    const prose = FilesystemService.resolvePath(`/usr/man/${name}.txt`, "none", false);
 
-            if (line === lastLine) {
-                count++;
-            } else {
-                pushLast();
-                lastLine = line;
-                count = 1;
-            }
-        }
+    if (prose instanceof OSFile) {
+        lines.push("", "DESCRIPTION");
+        prose.read().forEach(line => lines.push(line === "" ? "" : `    ${line}`));
+    }
 
-        pushLast();
+    return lines;
+}
 
-        logFile.append(output);
-    });
+function placeCaretAtEnd(elem){
+    const range = document.createRange();
+    range.selectNodeContents(elem);
+    range.collapse(false);
 
-    CommandService.bulkRegister(["print", "obuffer", "commandline", "linecount", "help", "clear", "service", "findtext", "makefile", "makedirectory", "list", "changedirectory", "peek", "time", "colortest", "fileinfo", "remove", "config", "editfile", "diagnosticflush", "view"]);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
 }
 
 function normalizeIndentation(string, indentSize = 4){
@@ -2656,6 +7580,62 @@ function createFilesystem(){
 
     FilesystemService.createDirectory("logs", "/data")
     FilesystemService.createFile("service.log", "/data/logs", [])
+    // logs can be written to, but not removed
+    FilesystemService.resolvePath("/data/logs").mode = 0o55;
+
+    FilesystemService.createDirectory("etc", "/")
+    // name:salt:hash:home, root starts without a password and sets one on its first login.
+    // Only root can read the salts and hashes
+    FilesystemService.createFile("passwd.txt", "/etc", [
+        "root:::/home/root",
+    ]).mode = 0o60;
+    FilesystemService.createDirectory("home", "/")
+    FilesystemService.createDirectory("root", "/home")
+
+    // command modules, see CommandService.loadPlugin
+    FilesystemService.createDirectory("bin", "/")
+    FilesystemService.createFile("greet.js", "/bin",
+        normalizeIndentation(
+            `
+            module.exports = {
+                name: "greet",
+                options: {
+                    description: "Greets someone. Loaded from /bin/greet.js",
+                    example: ["greet", "greet world"],
+                },
+                schema: [
+                    { type: "positional", name: "name", description: "Who to greet", required: false },
+                ],
+                fn: ({args}, os, signal) => {
+                    const name = args[0] ?? services.UserService.current ?? "root";
+                    return { type: "line", content: \`Hello, \${name}!\`, loc: "" };
+                },
+            };
+            `, 12
+        ).split("\n")
+    ).mode = 0o75;
+
+    // extra text for man pages, one <command>.txt per command
+    FilesystemService.createDirectory("usr", "/")
+    FilesystemService.createDirectory("man", "/usr")
+    FilesystemService.createFile("man.txt", "/usr/man", [
+        "The synopsis, arguments, flags, examples and aliases come from the command's schema.",
+        "Anything in /usr/man/<command>.txt is added below them, so any command, including",
+        "ones loaded from /bin, can be given a longer description by writing that file.",
+        "",
+        "Manuals longer than a page stop after each one. Press Enter to see the next page,",
+        "or type q and Enter to stop reading.",
+    ])
+    FilesystemService.createFile("run.txt", "/usr/man", [
+        "Each line of the script runs as if it was typed, so pipes, redirections, ;, && and ||",
+        "all work. Empty lines and lines starting with # are skipped.",
+        "",
+        "Inside the script, $0 is the script's path, $1, $2, ... are its arguments, $# is how",
+        "many there are and $@ is all of them. Variables set with set stay after the script ends.",
+        "",
+        "The script stops at the first line that fails unless --continue is given.",
+        "/config/autostart.sh is run this way on boot.",
+    ])
 
     FilesystemService.createFile("welcome.txt", "/", [
         "Hello there!",
@@ -2664,6 +7644,7 @@ function createFilesystem(){
 
     FilesystemService.createDirectory("palettes", "/data")
 
+    // read-only until someone runs "chmod u+w /config/user.conf"
     FilesystemService.createFile("user.conf", "/config",
         normalizeIndentation(
             `
@@ -2672,9 +7653,17 @@ function createFilesystem(){
             default_list_recursive_spacing = 2
             pixel_size = 1
             service_log_path = "data/logs/service.log"
+            history_path = "~/history.log"
             `, 12
         ).split("\n")
-    );
+    ).mode = 0o44;
+
+    FilesystemService.createFile("autostart.sh", "/config", [
+        "# Runs on boot. Each line is a command, lines starting with # are comments",
+        "list -r -s",
+        "view doc/i/t/p.img",
+        "service logs",
+    ]);
 
     FilesystemService.createFile("editor_styling.conf", "/data",
         normalizeIndentation(
@@ -2695,7 +7684,9 @@ function createFilesystem(){
         "txt - Plain text file",
         "conf - json-like config file",
         "bmap - straight bitmap. starts with a header, width, height, followed by each row of pixels, where each value corresponds to a hex color",
-        "img - compressed image"
+        "img - compressed image",
+        "swa - compressed archive of a directory, made with pack and read with unpack",
+        "js - command module. Executable modules owned by root in /bin are loaded as commands on boot"
     ]);
 
     // 330x400
@@ -2762,6 +7753,9 @@ function createFilesystem(){
                 highlight_background = "light_purple"
                 highlight_color = "white"
 
+                diff_add_color = "lime2"
+                diff_remove_color = "red2"
+
                 editor_background = "black"
                 editor_color = "white"
 
@@ -3349,7 +8343,12 @@ class OS {
         });
     }
 
-    constructor(elem){
+    /**
+     * 
+     * @param {HTMLElement} elem 
+     * @param {{storage?: {getItem: Function, setItem: Function, removeItem: Function}, host?: {pickFile: Function, saveText: Function, saveImage: Function}}} options storage defaults to localStorage, host to BrowserHostAdapter
+     */
+    constructor(elem, options = {}){
         this.elem = elem;
         this.start = performance.now();
         DiagnosticService.init(this);
@@ -3358,11 +8357,40 @@ class OS {
         this.validateCommands();
         CommandExecService.init(this);
         OutputService.init(this);
+        EnvironmentService.init(this);
         SaviorService.init(this);
         FilesystemService.init(this);
-        createFilesystem();
+        UserService.init(this);
+        PersistenceService.init(this, options.storage);
+
+        let restored = false;
+
+        try {
+            restored = PersistenceService.restore();
+        } catch (e) {
+            if(!(e instanceof OSError)) throw e;
+            this.error(`${e.message}. Starting with a new filesystem, which replaces the saved one`);
+        }
+
+        if(restored){
+            PersistenceService.migrate();
+        } else {
+            createFilesystem();
+        }
+
+        try {
+            PersistenceService.flush(!restored);
+        } catch (e) {
+            if(!(e instanceof OSError)) throw e;
+            this.error(`${e.message}. Changes will only last until the page is closed`);
+        }
         ConfigService.init(this);
         ColorService.init(this);
+        HistoryService.init(this);
+        CompletionService.init(this);
+        HostService.init(this, options.host);
+        AliasService.init(this);
+        CommandService.loadPlugins().forEach(error => this.error(error));
         BackgroundTaskService.init(this);
         this.end = performance.now();
 
@@ -3439,10 +8467,19 @@ class OS {
                 CommandExecService.continue();
             }
         });
+
+        // on keydown, before the browser copies. Ctrl+c with a selection still copies
+        document.addEventListener("keydown", (e) => {
+            if(e.key === "c" && e.ctrlKey && CommandExecService.running && window.getSelection().toString() === ""){
+                e.preventDefault();
+                CommandExecService.interrupt();
+            }
+        });
     }
 
     async runChain(chain, signal) {
         let pipe = null;
+        chain.failed = false;
 
         for (let i = 0; i < chain.parts.length; i++) {
             if (signal.aborted){
@@ -3452,7 +8489,13 @@ class OS {
 
             signal.chain = { current: i, total: chain.parts.length, chain };
 
-            const result = await this.runSingle(chain.parts[i], signal, pipe);
+            // re-parse so variables expand against the environment at execution time instead of when the chain was enqueued
+            if (chain.parts[i].raw !== undefined) {
+                Object.assign(chain.parts[i], this.parseCommandFragment(chain.parts[i].raw));
+            }
+
+            const output = i < chain.parts.length - 1 ? "pipe" : chain.redirect ? "file" : "terminal";
+            const result = await this.runSingle(chain.parts[i], signal, pipe, { output, interactive: chain.interactive });
 
             if (result?.type === "line") {
                 pipe = [result];
@@ -3463,6 +8506,14 @@ class OS {
             }
         }
 
+        // like a shell, the status is the last command's. Commands that handle several paths report each failure as a line and carry on
+        chain.failed = [pipe ?? []].flat().some(line => line?.type === "error" || line?.type === "severe_error");
+
+        if (chain.redirect) {
+            this.redirectOutput(pipe, chain.redirect);
+            return null;
+        }
+
         if (Array.isArray(pipe)) {
             for (const line of pipe) OutputService.add(line);
         }
@@ -3470,8 +8521,44 @@ class OS {
         return pipe;
     }
 
-    async runSingle(fragment, signal, pipe = null) {
-        const verification = CommandService.verify(fragment.name, fragment.args, fragment.flags);
+    /**
+     * Writes the text of the final pipe into a file. Errors still go to the terminal
+     * @param {object[]|object|null} pipe 
+     * @param {{raw: string, append: boolean}} redirect 
+     */
+    redirectOutput(pipe, redirect) {
+        // the target is parsed like a command word so quotes and variables work
+        const path = this.parseCommandFragment(redirect.raw).name;
+        if (!path) throw new OSError("Missing file path after redirection operator");
+
+        const lines = [];
+
+        for (const line of [pipe ?? []].flat()) {
+            if (line.type === "error" || line.type === "severe_error") {
+                OutputService.add(line);
+            } else if (line.type === "line") {
+                lines.push(String(line.content));
+            } else if (line.type === "html") {
+                lines.push(htmlToText(line.content));
+            } else {
+                throw new OSError(`Cannot redirect output of type "${line.type}" to a file`);
+            }
+        }
+
+        FilesystemService.writeFile(path, lines, redirect.append);
+        DiagnosticService.record(`OS_redirectOutput ${path}${redirect.append ? " (append)" : ""}`);
+    }
+
+    /**
+     * 
+     * @param {object} fragment 
+     * @param {AbortSignal} signal 
+     * @param {object[]|object|null} pipe the previous command's output
+     * @param {{output?: "terminal"|"pipe"|"file", interactive?: boolean}} context where the command sits, passed on to its handler
+     * @returns {Promise<object[]|object|null>}
+     */
+    async runSingle(fragment, signal, pipe = null, { output = "terminal", interactive = true } = {}) {
+        const verification = CommandService.verify(fragment.name, fragment.args, fragment.flags, fragment.rawFlags);
 
         if(verification == undefined){
             throw new OSError(`CommandService is disabled.`);
@@ -3506,7 +8593,7 @@ class OS {
 
         DiagnosticService.record(`CommandExecService_run ${fragment.name}`);
 
-        const result = await entry.fn({ args: fragment.args, flags: normalizedFlags, pipe }, this, signal);
+        const result = await entry.fn({ args: verification.args, nodes: verification.nodes, flags: normalizedFlags, pipe, output, interactive }, this, signal);
 
         if (result?.type === "error") {
             throw new OSError(result.content);
@@ -3597,6 +8684,16 @@ class OS {
                 continue;
             }
 
+            // single quotes keep "$" literal, everywhere else $NAME / ${NAME} expands to the variable's value
+            if (ch === "$" && !inSingle && EnvironmentService.enabled) {
+                const reference = EnvironmentService.readReference(input, i + 1);
+                if (reference) {
+                    current += EnvironmentService.get(reference.name) ?? "";
+                    i = reference.end;
+                    continue;
+                }
+            }
+
             if (ch === " " && !inSingle && !inDouble) {
                 if (current.length > 0) {
                     if (current.startsWith("-")) {
@@ -3623,6 +8720,8 @@ class OS {
 
         const args = [];
         const flags = {};
+        // flag values as typed, for string flags that look like numbers
+        const rawFlags = {};
 
 
         function isWrappedInQuotes(str) {
@@ -3630,13 +8729,23 @@ class OS {
         }
 
 
-        for (const token of unparsedArgs) {
+        unparsedArgs.forEach((token, index) => {
             if(isWrappedInQuotes(token)) {
                 args.push(token.slice(1, -1));
-            } else {
-                args.push(token);
+                return;
+            }
+
+            // unquoted arguments with *, ? or [ expand to every matching path, and stay as typed if nothing matches
+            if(index > 0 && FilesystemService.enabled && FilesystemService.isGlob(token) && !/["']/.test(token)) {
+                const matches = FilesystemService.glob(token);
+                if(matches.length > 0) {
+                    args.push(...matches);
+                    return;
+                }
             }
-        }
+
+            args.push(token);
+        });
 
         for (const token of unparsedFlags) {
             let flagName, flagValue;
@@ -3666,6 +8775,8 @@ class OS {
             }
 
 
+            rawFlags[flagName] = flagValue;
+
             if(flagValue instanceof NoValue) {}
             else if(/^-?\d+$/.test(flagValue)) {
                 flagValue = Number(flagValue);
@@ -3684,19 +8795,166 @@ class OS {
         return {
             name: command,
             args,
-            flags
+            flags,
+            rawFlags,
+            raw: input
         }
     }
 
     sendCommand(command){
-        CommandExecService.enqueue(this.parseCommand(command));
+        let expanded;
+
+        try {
+            expanded = HistoryService.expand(command);
+        } catch (e) {
+            if(!(e instanceof OSError)) throw e;
+            OutputService.add({ type: "error", content: e.message });
+        }
+
+        if(expanded !== undefined){
+            if(expanded !== command) OutputService.add({ type: "line", content: expanded, loc: "" });
+
+            try {
+                HistoryService.record(expanded);
+            } catch (e) {
+                // a broken history file must never keep commands like "service enable filesystem" from running
+                if(!(e instanceof OSError)) throw e;
+                DiagnosticService.record("OS_sendCommand history_unavailable");
+            }
+
+            try {
+                CommandExecService.enqueue(this.parseCommand(expanded));
+            } catch (e) {
+                if(!(e instanceof OSError)) throw e;
+                OutputService.add({ type: "error", content: e.message });
+            }
+        }
+
         CommandExecService.enqueue(this.parseCommand("obuffer"));
         CommandExecService.enqueue(this.parseCommand("commandline"));
         CommandExecService.runNext();
     }
 
+    /**
+     * Splits a trailing "> path" or ">> path" off of a command
+     * @param {string} input 
+     * @returns {{command: string, redirect: {raw: string, append: boolean}|null}}
+     */
+    parseRedirection(input) {
+        let inSingle = false;
+        let inDouble = false;
+
+        for (let i = 0; i < input.length; i++) {
+            const ch = input[i];
+
+            if (ch === "\\") {
+                i++;
+                continue;
+            }
+
+            if (ch === "'" && !inDouble) inSingle = !inSingle;
+            if (ch === '"' && !inSingle) inDouble = !inDouble;
+
+            if (ch === ">" && !inSingle && !inDouble) {
+                const append = input[i + 1] === ">";
+                const raw = input.slice(i + (append ? 2 : 1)).trim();
+
+                if (raw === "") throw new OSError("Missing file path after redirection operator");
+                if (this.parseRedirection(raw).redirect) throw new OSError("Only one output redirection is allowed per command");
+
+                // "cmd > f | wc" would otherwise write to f and quietly drop the rest
+                const target = this.parseCommandFragment(raw);
+                if (target.args.length > 0 || Object.keys(target.flags).length > 0) {
+                    throw new OSError(`Only a file path can follow "${append ? ">>" : ">"}", got "${raw}"`);
+                }
+
+                return { command: input.slice(0, i), redirect: { raw, append } };
+            }
+        }
+
+        return { command: input, redirect: null };
+    }
+
+    /**
+     * Splits a line into the chains separated by ";", "&&" and "||"
+     * @param {string} input 
+     * @returns {{source: string, operator: ";"|"&&"|"||"|null}[]} operator is the one before the chain
+     */
+    parseSequence(input) {
+        const segments = [];
+        let current = "";
+        let operator = null;
+
+        let inSingle = false;
+        let inDouble = false;
+
+        const push = (next) => {
+            if (current.trim() === "") throw new OSError(`Syntax error near unexpected token "${next}"`);
+            segments.push({ source: current.trim(), operator });
+            current = "";
+            operator = next;
+        };
+
+        for (let i = 0; i < input.length; i++) {
+            const ch = input[i];
+
+            if (ch === "\\") {
+                current += ch + (input[i + 1] ?? "");
+                i++;
+                continue;
+            }
+
+            if (ch === "'" && !inDouble) inSingle = !inSingle;
+            if (ch === '"' && !inSingle) inDouble = !inDouble;
+
+            if (!inSingle && !inDouble) {
+                const pair = input.slice(i, i + 2);
+
+                if (pair === "&&" || pair === "||") {
+                    push(pair);
+                    i++;
+                    continue;
+                }
+
+                if (ch === ";") {
+                    push(ch);
+                    continue;
+                }
+            }
+
+            current += ch;
+        }
+
+        if (current.trim() !== "") segments.push({ source: current.trim(), operator });
+        else if (operator !== null && operator !== ";") throw new OSError(`Syntax error: missing command after "${operator}"`);
+
+        return segments;
+    }
+
     parseCommand(string){
-        const pipelines = this.parsePipeline(string);
+        const segments = this.parseSequence(AliasService.expand(string));
+
+        if (segments.length === 0) return new OSCommandChain([]);
+
+        let first = null;
+        let previous = null;
+
+        for (const { source, operator } of segments) {
+            const chain = this.parseChain(source);
+            chain.operator = operator;
+
+            if (previous) previous.next = chain;
+            else first = chain;
+
+            previous = chain;
+        }
+
+        return first;
+    }
+
+    parseChain(string){
+        const { command, redirect } = this.parseRedirection(string);
+        const pipelines = this.parsePipeline(command);
 
         const frags = [];
 
@@ -3704,7 +8962,7 @@ class OS {
             frags.push(this.parseCommandFragment(pipelines[i]));
         }
 
-        return new OSCommandChain(frags);
+        return new OSCommandChain(frags, redirect);
     }
 
     line(content, loc = ">"){
@@ -3914,6 +9172,27 @@ class OS {
     }
 
     commandLine(){
+        if(UserService.loginRequired()){
+            this.prompt("login:", false, (name) => {
+                this.prompt("password:", true, async (password) => {
+                    try {
+                        await UserService.login(name.trim(), password);
+                        await this.setRootPassword();
+
+                        const warning = UserService.passwordWarning();
+                        if(warning) this.line(warning, "!");
+                    } catch (e) {
+                        if(!(e instanceof OSError)) throw e;
+                        UserService.endSessions();
+                        this.error(e.message);
+                    }
+
+                    this.commandLine();
+                });
+            });
+            return;
+        }
+
         const line = document.createElement('div');
         const contentElem = document.createElement('div');
         const locElem = document.createElement('span');
@@ -3926,7 +9205,62 @@ class OS {
         contentElem.spellcheck = false;
         contentElem.classList.add('commandline');
 
+        // index into the history while navigating with the arrow keys, and whatever was typed before navigation started
+        let historyIndex = null;
+        let draft = "";
+
+        // line listing the candidates of an ambiguous completion, shown above the command line
+        let completionHint = null;
+
         contentElem.addEventListener('keydown', (e) => {
+            if(e.key === "Tab"){
+                e.preventDefault();
+
+                const text = contentElem.textContent;
+                const { replacement, candidates } = CompletionService.complete(text);
+
+                if(replacement !== text){
+                    contentElem.textContent = replacement;
+                    placeCaretAtEnd(contentElem);
+                }
+
+                completionHint?.remove();
+                completionHint = null;
+
+                if(candidates.length > 1){
+                    completionHint = this.line(candidates.join("  "), "");
+                    this.elem.insertBefore(completionHint, line);
+                }
+
+                return;
+            }
+
+            if(e.key === "ArrowUp" || e.key === "ArrowDown"){
+                const entries = HistoryService.getEntries();
+                if(entries.length === 0) return;
+
+                e.preventDefault();
+
+                if(historyIndex === null){
+                    if(e.key === "ArrowDown") return;
+                    draft = contentElem.textContent;
+                    historyIndex = entries.length;
+                }
+
+                historyIndex += e.key === "ArrowUp" ? -1 : 1;
+                historyIndex = Math.max(0, historyIndex);
+
+                if(historyIndex >= entries.length){
+                    historyIndex = null;
+                    contentElem.textContent = draft;
+                } else {
+                    contentElem.textContent = entries[historyIndex];
+                }
+
+                placeCaretAtEnd(contentElem);
+                return;
+            }
+
             if(e.key === "Enter"  && contentElem.textContent.trim() === "") {
                 e.preventDefault();
                 return;
@@ -3945,7 +9279,7 @@ class OS {
         });
 
 
-        locElem.textContent = FilesystemService.getCurrentPath() + ">";
+        locElem.textContent = `${FilesystemService.currentUser}:${FilesystemService.getCurrentPath()}>`;
 
         line.classList.add('line');
         line.appendChild(locElem);
@@ -3955,6 +9289,117 @@ class OS {
         contentElem.focus();
     }
 
+    /**
+     * Shows a line that reads a single answer, like a user name or password
+     * @param {string} label 
+     * @param {boolean} secret hide what is typed, for passwords
+     * @param {(answer: string) => void} callback called with the answer when Enter is pressed
+     * @returns {() => void} closes the prompt without calling callback
+     */
+    prompt(label, secret, callback){
+        const line = document.createElement('div');
+        const contentElem = document.createElement('div');
+        const locElem = document.createElement('span');
+
+        document.querySelectorAll('.commandline').forEach(elem => elem.contentEditable = 'false');
+
+        contentElem.contentEditable = 'plaintext-only';
+        contentElem.spellcheck = false;
+        contentElem.classList.add('commandline');
+        if(secret) contentElem.classList.add('secret');
+
+        const focus = (e) => {
+            if(!e.target.classList.contains('editor')) {
+                contentElem.focus();
+            }
+        };
+
+        const close = () => {
+            contentElem.contentEditable = 'false';
+            // don't leave passwords lying around in the page
+            if(secret) contentElem.textContent = "";
+            document.body.removeEventListener('click', focus);
+        };
+
+        contentElem.addEventListener('keydown', (e) => {
+            if(e.key !== 'Enter') return;
+            e.preventDefault();
+
+            const answer = contentElem.textContent;
+            close();
+            callback(answer);
+        });
+
+        document.body.addEventListener('click', focus);
+
+        locElem.textContent = label;
+
+        line.classList.add('line');
+        line.appendChild(locElem);
+        line.appendChild(contentElem);
+        this.elem.appendChild(line);
+
+        contentElem.focus();
+
+        return close;
+    }
+
+    /**
+     * Asks for a line of input from inside a command, which keeps the rest of its chain waiting until it is answered
+     * @param {string} label 
+     * @param {boolean} secret 
+     * @param {AbortSignal} signal closes the prompt and rejects with an AbortError when aborted
+     * @returns {Promise<string>}
+     */
+    ask(label, secret = false, signal = null){
+        // whatever the chain printed so far belongs above the prompt
+        OutputService.flush();
+
+        return new Promise((resolve, reject) => {
+            if(signal?.aborted) return reject(new DOMException("Aborted", "AbortError"));
+
+            const onAbort = () => {
+                close();
+                reject(new DOMException("Aborted", "AbortError"));
+            };
+
+            const close = this.prompt(label, secret, (answer) => {
+                signal?.removeEventListener("abort", onAbort);
+                resolve(answer);
+            });
+
+            signal?.addEventListener("abort", onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Makes root choose a password when it logs in without one
+     * @param {AbortSignal} signal 
+     */
+    async setRootPassword(signal = null){
+        if(!UserService.rootPasswordRequired()) return;
+
+        OutputService.add({ type: "line", content: "root has no password yet. Choose one before going on", loc: "!" });
+
+        const password = await this.ask("new password:", true, signal);
+        if(password !== await this.ask("retype new password:", true, signal)) throw new OSError("Passwords do not match");
+
+        await UserService.setPassword("root", password);
+    }
+
+    /**
+     * Runs the boot script, if there is one
+     * @param {string} path 
+     */
+    autostart(path = "/config/autostart.sh"){
+        if(!(FilesystemService.resolvePath(path, "none", false) instanceof OSFile)) return;
+
+        CommandExecService.enqueue(this.parseCommand(`run "${path}"`));
+        CommandExecService.enqueue(this.parseCommand("obuffer"));
+        CommandExecService.enqueue(this.parseCommand("commandline"));
+        CommandExecService.runNext();
+    }
+
     parseFormatSpec(input) {
         if (typeof input !== "string")
             throw new OSError("Formatting: Format spec must be a string");
@@ -4174,8 +9619,14 @@ class OS {
 
                 switch(command){
                     case "s": {
-                        file.write(editor.value.split("\n"));
-                        ecmdOut.textContent = "File saved.";
+                        try {
+                            file.write(editor.value.split("\n"));
+                            PersistenceService.flush();
+                            ecmdOut.textContent = "File saved.";
+                        } catch (e) {
+                            if(!(e instanceof OSError)) throw e;
+                            ecmdOut.textContent = e.message;
+                        }
                     } break;
 
                     case "q": {
@@ -4187,7 +9638,14 @@ class OS {
                     } break;
 
                     case "sq": {
-                        file.write(editor.value.split("\n"));
+                        try {
+                            file.write(editor.value.split("\n"));
+                        } catch (e) {
+                            // stay in the editor so the changes are not lost
+                            if(!(e instanceof OSError)) throw e;
+                            ecmdOut.textContent = e.message;
+                            break;
+                        }
                         editor.readOnly = true;
                         ecmdIn.contentEditable = "false";
                         ecmdInLoc.textContent = "-";
@@ -4225,6 +9683,7 @@ class OS {
 
         this.line(intro, "");
         this.line(`Press [F1] toggle between the editor and the command bar, type "?" there for commands.`, "");
+        if(!FilesystemService.hasPermission(file, "w")) this.line(`This file is read-only (${FilesystemService.formatMode(file)}), changes cannot be saved.`, "");
         this.line("-".repeat(intro.length), "");
         this.elem.appendChild(editorLine);
         editor.focus();